@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import shopify, { sanitizeShop } from './shopify.js';
+import prisma from './prisma.js';
+
+// Admin API authentication. The online OAuth callback sets a signed cookie
+// naming the shop and the staff member who logged in; embedded or scripted
+// callers can send a Shopify session token as a Bearer header instead. Either
+// way the shop comes from the credential, never from the request body or
+// query string.
+export const ADMIN_SESSION_COOKIE = 'limitpro_admin';
+const ADMIN_SESSION_TTL_MS = Number(process.env.ADMIN_SESSION_TTL_MS || 24 * 60 * 60 * 1000);
+
+function signingSecret() {
+  const secret = process.env.SHOPIFY_API_SECRET;
+
+  if (!secret) {
+    throw new Error('SHOPIFY_API_SECRET is required to sign admin sessions');
+  }
+
+  return secret;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', signingSecret()).update(payload).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+
+  for (const part of header.split(';')) {
+    const separatorIndex = part.indexOf('=');
+    if (separatorIndex === -1) continue;
+
+    if (part.slice(0, separatorIndex).trim() === name) {
+      return decodeURIComponent(part.slice(separatorIndex + 1).trim());
+    }
+  }
+
+  return null;
+}
+
+// user is the staff member from the online access token: { id, email }.
+export function setAdminSessionCookie(res, shop, user) {
+  const payload = Buffer.from(JSON.stringify({
+    shop,
+    user: { id: String(user.id), email: user.email || null },
+    exp: Date.now() + ADMIN_SESSION_TTL_MS,
+  })).toString('base64url');
+
+  res.cookie(ADMIN_SESSION_COOKIE, `${payload}.${sign(payload)}`, {
+    httpOnly: true,
+    secure: shopify.config.hostScheme === 'https',
+    // Lax keeps the cookie off cross-site POST/PUT/DELETE requests.
+    sameSite: 'lax',
+    maxAge: ADMIN_SESSION_TTL_MS,
+    path: '/',
+  });
+}
+
+export function clearAdminSessionCookie(res) {
+  res.clearCookie(ADMIN_SESSION_COOKIE, { path: '/' });
+}
+
+// Cookies set before staff were identified carry no user and no longer count,
+// so those dashboards log in again.
+function sessionFromCookie(req) {
+  const value = readCookie(req, ADMIN_SESSION_COOKIE);
+  if (!value) return null;
+
+  const [payload, signature] = value.split('.');
+  if (!payload || !signature || !safeEqual(signature, sign(payload))) {
+    return null;
+  }
+
+  try {
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const shop = session.exp > Date.now() && session.user?.id ? sanitizeShop(session.shop) : null;
+    return shop ? { shop, userId: session.user.id, userEmail: session.user.email || null } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Session tokens also name the staff member using the app (sub).
+async function sessionFromToken(req) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) return null;
+
+  try {
+    const payload = await shopify.session.decodeSessionToken(match[1]);
+    const shop = sanitizeShop(new URL(payload.dest).hostname);
+    return shop ? { shop, userId: payload.sub ? String(payload.sub) : null, userEmail: null } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function resolveAdminSession(req) {
+  const tokenSession = await sessionFromToken(req);
+  if (tokenSession) return tokenSession;
+
+  return sessionFromCookie(req);
+}
+
+// Returns the authenticated shop, or null.
+export async function resolveAdminShop(req) {
+  return (await resolveAdminSession(req))?.shop || null;
+}
+
+function authRequired(res, shopHint) {
+  return res.status(401).json({
+    success: false,
+    error: 'Shop authentication required',
+    ...(shopHint ? { authUrl: `/api/auth?shop=${encodeURIComponent(shopHint)}` } : {}),
+  });
+}
+
+/**
+ * Express middleware for admin APIs. Sets req.shop to the authenticated shop
+ * and req.actor to who is acting, for the audit log: { type: 'staff', id,
+ * email }, with the email known only for the dashboard cookie. Rejects the
+ * request with 401 when there is no valid session, when the shop has since
+ * uninstalled, or when the page asks for a different shop than the session
+ * belongs to (so the dashboard re-authenticates instead of silently showing
+ * another store).
+ */
+export async function requireAdminSession(req, res, next) {
+  const shopHint = sanitizeShop(req.query.shop) || sanitizeShop(req.body?.shop);
+
+  try {
+    const session = await resolveAdminSession(req);
+    const shop = session?.shop;
+
+    if (!shop || (shopHint && shopHint !== shop)) {
+      return authRequired(res, shopHint || shop);
+    }
+
+    const shopRecord = await prisma.shop.findUnique({
+      where: { id: shop },
+      select: { accessToken: true },
+    });
+
+    if (!shopRecord?.accessToken) {
+      return authRequired(res, shop);
+    }
+
+    req.shop = shop;
+    req.actor = { type: 'staff', id: session.userId, email: session.userEmail };
+    next();
+  } catch (error) {
+    console.error('Error authenticating admin request:', error);
+    res.status(500).json({ success: false, error: 'Failed to authenticate request' });
+  }
+}
@@ -0,0 +1,35 @@
+import shopify, { sanitizeShop } from './shopify.js';
+
+// Storefront requests reach the app through the Shopify app proxy
+// (/apps/limitpro/* on the shop's domain, forwarded to /proxy/*). Shopify
+// signs the query string, including shop and logged_in_customer_id, so both
+// can be trusted once the signature checks out.
+export const APP_PROXY_PATH = '/proxy';
+
+async function isValidProxySignature(query) {
+  try {
+    return await shopify.utils.validateHmac(query, { signator: 'appProxy' });
+  } catch (error) {
+    // Missing signature or a timestamp outside Shopify's tolerance.
+    return false;
+  }
+}
+
+/**
+ * Express middleware for app proxy routes. Sets req.shop and
+ * req.loggedInCustomerId (null for guests), or rejects the request with 401
+ * when the signature is missing or wrong.
+ */
+export async function requireAppProxy(req, res, next) {
+  const shop = sanitizeShop(req.query.shop);
+
+  if (!shop || !(await isValidProxySignature(req.query))) {
+    return res.status(401).json({ success: false, error: 'Invalid app proxy signature' });
+  }
+
+  req.shop = shop;
+  req.loggedInCustomerId = req.query.logged_in_customer_id
+    ? req.query.logged_in_customer_id.toString()
+    : null;
+  next();
+}
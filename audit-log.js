@@ -0,0 +1,187 @@
+import prisma from './prisma.js';
+
+// Rule and settings history. Every write to a rule or the cart settings adds
+// an entry with the state before and after it and who made it, in the same
+// transaction as the write, so the log can't miss a change or keep one that
+// was rolled back. A rule can be put back to any version in its history.
+export const AUDIT_PAGE_SIZE = 50;
+const MAX_AUDIT_PAGE_SIZE = 200;
+// Row bookkeeping, left out of snapshots.
+const UNTRACKED_FIELDS = new Set(['id', 'shopId', 'createdAt', 'updatedAt']);
+// A change to only these is recorded as a toggle.
+const TOGGLE_FIELDS = new Set(['enabled', 'disabledReason']);
+
+// Changes the app makes by itself, like disabling rules after a downgrade.
+export const SYSTEM_ACTOR = { type: 'system', id: null };
+
+function snapshotValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  // Prisma decimals are the only other objects on these rows.
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) return Number(value);
+  return value;
+}
+
+// Plain JSON of a rule or settings row: numbers for decimals, ISO strings for
+// dates.
+export function snapshot(record) {
+  if (!record) return null;
+
+  return Object.fromEntries(Object.entries(record)
+    .filter(([field]) => !UNTRACKED_FIELDS.has(field))
+    .map(([field, value]) => [field, snapshotValue(value)]));
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function changedFields(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields].filter((field) => !sameValue(before?.[field], after?.[field]));
+}
+
+function auditAction(before, after) {
+  if (!before) return 'create';
+  if (!after) return 'delete';
+
+  return changedFields(before, after).every((field) => TOGGLE_FIELDS.has(field)) ? 'toggle' : 'update';
+}
+
+function auditEntry(shopId, actor, entity, ruleId, before, after, { source = null, action = null, revertedFromId = null }) {
+  return {
+    shopId,
+    entity,
+    ruleId,
+    action: action || auditAction(before, after),
+    source,
+    actorType: actor.type,
+    actorId: actor.id,
+    actorEmail: actor.email ?? null,
+    // undefined leaves the column null; Prisma rejects a plain null for Json.
+    before: before ?? undefined,
+    after: after ?? undefined,
+    revertedFromId,
+  };
+}
+
+/**
+ * Audit entries for rule writes. changes is a list of [before, after] rule
+ * rows, with a null before for a create and a null after for a delete; pairs
+ * that didn't change anything are skipped. Options: source ('bulk',
+ * 'bulk_create', 'import' or 'plan'; null for a single edit), action to
+ * override the derived one, and revertedFromId.
+ */
+export function ruleAuditEntries(shopId, actor, changes, options = {}) {
+  return changes
+    .map(([before, after]) => [snapshot(before), snapshot(after), (after || before).id])
+    .filter(([before, after]) => !before || !after || changedFields(before, after).length)
+    .map(([before, after, ruleId]) => auditEntry(shopId, actor, 'rule', ruleId, before, after, options));
+}
+
+// Audit entries for a settings write (none when nothing changed).
+export function settingsAuditEntries(shopId, actor, before, after, options = {}) {
+  const beforeSnapshot = snapshot(before);
+  const afterSnapshot = snapshot(after);
+
+  return beforeSnapshot && !changedFields(beforeSnapshot, afterSnapshot).length
+    ? []
+    : [auditEntry(shopId, actor, 'settings', null, beforeSnapshot, afterSnapshot, options)];
+}
+
+// Writes entries with client, the transaction of the change they describe.
+export async function recordAuditEntries(client, entries) {
+  if (entries.length) {
+    await client.auditEntry.createMany({ data: entries });
+  }
+}
+
+function formatEntry(entry) {
+  const { before, after } = entry;
+
+  return {
+    id: entry.id,
+    entity: entry.entity,
+    ruleId: entry.ruleId,
+    action: entry.action,
+    source: entry.source,
+    actor: { type: entry.actorType, id: entry.actorId, email: entry.actorEmail },
+    revertedFromId: entry.revertedFromId,
+    createdAt: entry.createdAt,
+    before,
+    after,
+    // Field by field for updates; creates and deletes carry the whole row.
+    changes: before && after
+      ? changedFields(before, after).map((field) => ({ field, from: before[field] ?? null, to: after[field] ?? null }))
+      : [],
+    revertible: entry.entity === 'rule',
+  };
+}
+
+/**
+ * A page of the shop's history, newest first, optionally for one rule or
+ * entity ('rule' or 'settings'). Pass the returned nextCursor as cursor for
+ * the next page; it is null on the last one.
+ */
+export async function listAuditEntries(shopId, { ruleId = null, entity = null, cursor = null, limit = AUDIT_PAGE_SIZE } = {}) {
+  const take = Math.min(Math.max(Number(limit) || AUDIT_PAGE_SIZE, 1), MAX_AUDIT_PAGE_SIZE);
+  const entries = await prisma.auditEntry.findMany({
+    where: {
+      shopId,
+      ...(ruleId ? { ruleId } : {}),
+      ...(entity ? { entity } : {}),
+    },
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    take: take + 1,
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+  });
+
+  return {
+    entries: entries.slice(0, take).map(formatEntry),
+    nextCursor: entries.length > take ? entries[take - 1].id : null,
+  };
+}
+
+/**
+ * The rule version a history entry left behind, for a revert: the rule after
+ * the change, or before it for a delete (reverting a delete brings the rule
+ * back). Returns { entry, version, current } with the rule as it is now
+ * (null if deleted), or { error, status }.
+ */
+export async function findRuleVersion(shopId, entryId) {
+  const entry = await prisma.auditEntry.findFirst({ where: { id: entryId, shopId } });
+
+  if (!entry) {
+    return { error: 'History entry not found', status: 404 };
+  }
+
+  if (entry.entity !== 'rule') {
+    return { error: 'Only rule changes can be reverted', status: 400 };
+  }
+
+  const version = entry.after || entry.before;
+  const current = await prisma.rule.findFirst({ where: { id: entry.ruleId, shopId } });
+
+  if (current && !changedFields(snapshot(current), version).length) {
+    return { error: 'The rule already matches this version', status: 409 };
+  }
+
+  return { entry, version, current };
+}
+
+// Puts a rule back to a version from findRuleVersion, recreating it under
+// its old ID if it was deleted, and records the revert.
+export async function revertRule(shopId, actor, { entry, version, current }) {
+  return prisma.$transaction(async (tx) => {
+    // Prisma takes the snapshot's ISO dates and decimal numbers as they are.
+    const rule = current
+      ? await tx.rule.update({ where: { id: current.id }, data: version })
+      : await tx.rule.create({ data: { ...version, id: entry.ruleId, shopId } });
+
+    await recordAuditEntries(tx, ruleAuditEntries(shopId, actor, [[current, rule]], {
+      action: 'revert',
+      revertedFromId: entry.id,
+    }));
+
+    return rule;
+  });
+}
@@ -1,216 +1,559 @@
-import shopify from './shopify.js';
-import { PrismaClient } from '@prisma/client';
+import shopify, { getOfflineSession, runAdminQuery } from './shopify.js';
+import prisma from './prisma.js';
+import { RULE_TYPES } from './rule-fields.js';
+import { ruleAuditEntries, SYSTEM_ACTOR } from './audit-log.js';
 
-const prisma = new PrismaClient();
-
-// Billing configuration
+// Billing configuration shared by every paid plan
 const BILLING_CONFIG = {
-  planName: process.env.BILLING_PLAN_NAME || 'Order Limits Pro',
-  amount: parseFloat(process.env.BILLING_AMOUNT) || 9.99,
   currencyCode: process.env.BILLING_CURRENCY || 'USD',
   interval: process.env.BILLING_INTERVAL || 'EVERY_30_DAYS',
   trialDays: parseInt(process.env.FREE_TRIAL_DAYS) || 7,
 };
 
-export async function createRecurringCharge(session) {
-  const client = new shopify.clients.Graphql({ session });
-  
-  const mutation = `
-    mutation AppSubscriptionCreate(
-      $name: String!
-      $lineItems: [AppSubscriptionLineItemInput!]!
-      $returnUrl: URL!
-      $test: Boolean
-      $trialDays: Int
+// Plan catalog. maxActiveRules of null means unlimited. Features gate rule
+// options (schedules, audiences, purchaseWindows) and whole areas of the app
+// (analytics). usage adds a usage line item to the subscription: storefront
+// cart validations beyond includedValidations are charged pricePerBlock per
+// blockSize, up to cappedAmount per billing period.
+export const PLANS = {
+  free: {
+    name: 'Free',
+    amount: 0,
+    maxActiveRules: 3,
+    ruleTypes: ['product', 'variant'],
+    features: [],
+  },
+  pro: {
+    name: 'Pro',
+    subscriptionName: 'LimitPro Pro',
+    amount: parseFloat(process.env.BILLING_PRO_AMOUNT) || 9.99,
+    maxActiveRules: 50,
+    ruleTypes: RULE_TYPES,
+    features: ['schedules', 'audiences', 'purchaseWindows'],
+    usage: {
+      includedValidations: 100000,
+      blockSize: 1000,
+      pricePerBlock: 0.5,
+      cappedAmount: 50,
+    },
+  },
+  plus: {
+    name: 'Plus',
+    subscriptionName: 'LimitPro Plus',
+    amount: parseFloat(process.env.BILLING_PLUS_AMOUNT) || 29.99,
+    maxActiveRules: null,
+    ruleTypes: RULE_TYPES,
+    features: ['schedules', 'audiences', 'purchaseWindows', 'analytics'],
+    usage: {
+      includedValidations: 1000000,
+      blockSize: 1000,
+      pricePerBlock: 0.25,
+      cappedAmount: 200,
+    },
+  },
+};
+
+export const DEFAULT_PLAN = 'free';
+// Rules switched off by a downgrade, as opposed to by the merchant. These
+// are switched back on when the shop upgrades again.
+export const PLAN_LIMIT_REASON = 'plan_limit';
+
+const PLAN_ORDER = ['free', 'pro', 'plus'];
+const FEATURE_LABELS = {
+  schedules: 'Scheduled rules',
+  audiences: 'Customer targeting',
+  purchaseWindows: 'Purchase history limits',
+  analytics: 'Analytics',
+};
+
+// Shopify sends the merchant back here, adding charge_id, after they approve
+// or decline the charge.
+export const BILLING_CALLBACK_PATH = '/api/billing/callback';
+
+const APP_SUBSCRIPTION_CREATE_MUTATION = `
+  mutation AppSubscriptionCreate(
+    $name: String!
+    $lineItems: [AppSubscriptionLineItemInput!]!
+    $returnUrl: URL!
+    $test: Boolean
+    $trialDays: Int
+  ) {
+    appSubscriptionCreate(
+      name: $name
+      lineItems: $lineItems
+      returnUrl: $returnUrl
+      test: $test
+      trialDays: $trialDays
     ) {
-      appSubscriptionCreate(
-        name: $name
-        lineItems: $lineItems
-        returnUrl: $returnUrl
-        test: $test
-        trialDays: $trialDays
-      ) {
-        appSubscription {
+      appSubscription {
+        id
+        status
+      }
+      confirmationUrl
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const ACTIVE_SUBSCRIPTIONS_QUERY = `
+  query LimitProActiveSubscriptions {
+    currentAppInstallation {
+      activeSubscriptions {
+        id
+        name
+        status
+        test
+        trialDays
+        currentPeriodEnd
+        lineItems {
           id
-          status
-        }
-        confirmationUrl
-        userErrors {
-          field
-          message
+          plan {
+            pricingDetails {
+              __typename
+            }
+          }
         }
       }
     }
-  `;
+  }
+`;
 
-  const variables = {
-    name: BILLING_CONFIG.planName,
-    returnUrl: `${process.env.SHOPIFY_APP_URL}/api/billing/callback`,
-    test: process.env.NODE_ENV === 'development',
-    trialDays: BILLING_CONFIG.trialDays,
-    lineItems: [
-      {
-        plan: {
-          appRecurringPricingDetails: {
-            price: {
-              amount: BILLING_CONFIG.amount,
-              currencyCode: BILLING_CONFIG.currencyCode,
-            },
-            interval: BILLING_CONFIG.interval,
-          },
-        },
-      },
-    ],
-  };
+const APP_SUBSCRIPTION_CANCEL_MUTATION = `
+  mutation AppSubscriptionCancel($id: ID!) {
+    appSubscriptionCancel(id: $id) {
+      appSubscription {
+        id
+        status
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
 
-  try {
-    const response = await client.query({
-      data: { query: mutation, variables },
-    });
+function planKey(value) {
+  return PLANS[value] ? value : DEFAULT_PLAN;
+}
 
-    const { appSubscription, confirmationUrl, userErrors } = 
-      response.body.data.appSubscriptionCreate;
+// Subscriptions from before the tiers were all for the single paid plan,
+// which is now Pro.
+function planForSubscription(subscription) {
+  if (subscription?.status !== 'ACTIVE') {
+    return DEFAULT_PLAN;
+  }
 
-    if (userErrors && userErrors.length > 0) {
-      throw new Error(userErrors[0].message);
-    }
+  return Object.keys(PLANS).find((key) => PLANS[key].subscriptionName === subscription.name) || 'pro';
+}
 
-    // Store subscription info
-    await prisma.shop.update({
-      where: { id: session.shop },
-      data: {
-        subscriptionId: appSubscription.id,
-        subscriptionStatus: appSubscription.status,
-      },
-    });
+function usageLineItemId(subscription) {
+  const lineItem = subscription?.lineItems
+    ?.find((item) => item.plan?.pricingDetails?.__typename === 'AppUsagePricing');
+  return lineItem?.id || null;
+}
+
+function saveSubscription(shopId, subscription) {
+  return prisma.shop.updateMany({
+    where: { id: shopId },
+    data: {
+      subscriptionId: subscription?.id ?? null,
+      subscriptionStatus: subscription?.status ?? null,
+      plan: planForSubscription(subscription),
+      usageLineItemId: usageLineItemId(subscription),
+      currentPeriodEnd: subscription?.currentPeriodEnd ? new Date(subscription.currentPeriodEnd) : null,
+    },
+  });
+}
+
+// Usage charges are only offered on 30 day billing; Shopify doesn't allow
+// them on annual subscriptions.
+export function getUsagePricing(plan) {
+  const { usage } = PLANS[planKey(plan)];
 
-    return confirmationUrl;
-  } catch (error) {
-    console.error('Error creating subscription:', error);
-    throw error;
+  if (!usage || BILLING_CONFIG.interval !== 'EVERY_30_DAYS') {
+    return null;
   }
+
+  return { ...usage, currencyCode: BILLING_CONFIG.currencyCode };
 }
 
-export async function checkSubscriptionStatus(session) {
-  const client = new shopify.clients.Graphql({ session });
-  
-  const query = `
-    {
-      currentAppInstallation {
-        activeSubscriptions {
-          id
-          name
-          status
-          test
-          trialDays
-          currentPeriodEnd
-        }
-      }
-    }
-  `;
-
-  try {
-    const response = await client.query({ data: query });
-    const subscriptions = 
-      response.body.data.currentAppInstallation.activeSubscriptions;
-
-    if (subscriptions && subscriptions.length > 0) {
-      const subscription = subscriptions[0];
-      
-      // Update shop subscription status
-      await prisma.shop.update({
-        where: { id: session.shop },
-        data: {
-          subscriptionId: subscription.id,
-          subscriptionStatus: subscription.status,
-        },
-      });
+function usageTerms(usage) {
+  return `${usage.pricePerBlock.toFixed(2)} ${usage.currencyCode} per ${usage.blockSize} storefront cart validations `
+    + `beyond ${usage.includedValidations} each 30 days`;
+}
+
+function cheapestPlanWith(isIncluded) {
+  return PLAN_ORDER.map((key) => PLANS[key]).find(isIncluded) || null;
+}
+
+function upgradeMessage(subject, isIncluded) {
+  const plan = cheapestPlanWith(isIncluded);
+  return plan ? `${subject} need the ${plan.name} plan or higher` : `${subject} aren't available`;
+}
+
+function ruleFeatures(rule) {
+  const features = [];
+
+  if (rule.startsAt || rule.endsAt) features.push('schedules');
+  if ((rule.audience && rule.audience !== 'all') || rule.customerTags?.length) features.push('audiences');
+  if (rule.purchaseWindow) features.push('purchaseWindows');
+
+  return features;
+}
+
+/**
+ * Returns why a rule's type or options aren't included in the plan, or null
+ * when it is allowed. Doesn't look at the active rule quota.
+ */
+export function ruleEntitlementError(plan, rule) {
+  const entitlements = PLANS[planKey(plan)];
+
+  if (!entitlements.ruleTypes.includes(rule.ruleType)) {
+    const label = rule.ruleType.charAt(0).toUpperCase() + rule.ruleType.slice(1);
+    return upgradeMessage(`${label} rules`, (candidate) => candidate.ruleTypes.includes(rule.ruleType));
+  }
+
+  const missing = ruleFeatures(rule).find((feature) => !entitlements.features.includes(feature));
+
+  return missing
+    ? upgradeMessage(FEATURE_LABELS[missing], (candidate) => candidate.features.includes(missing))
+    : null;
+}
+
+export async function getShopPlan(shopId) {
+  const shop = await prisma.shop.findUnique({
+    where: { id: shopId },
+    select: { plan: true },
+  });
+
+  return planKey(shop?.plan);
+}
+
+/**
+ * Entitlement check for routes that create or update a rule. rule is the
+ * rule as it will be saved; disabled rules are always allowed. excludeRuleId
+ * leaves a rule being updated out of the active rule count. Returns an error
+ * message, or null.
+ */
+export async function checkRuleEntitlement(shopId, rule, { excludeRuleId = null } = {}) {
+  return checkRulesEntitlement(shopId, [rule], { excludeRuleIds: excludeRuleId ? [excludeRuleId] : [] });
+}
+
+// Batch form of checkRuleEntitlement for bulk actions: every rule must be in
+// the plan and all of them must fit in the active rule quota together.
+export async function checkRulesEntitlement(shopId, rules, { excludeRuleIds = [] } = {}) {
+  const enabledRules = rules.filter((rule) => rule.enabled);
+
+  if (!enabledRules.length) {
+    return null;
+  }
+
+  const plan = await getShopPlan(shopId);
+
+  for (const rule of enabledRules) {
+    const featureError = ruleEntitlementError(plan, rule);
 
-      return {
-        hasActiveSubscription: subscription.status === 'ACTIVE',
-        subscription,
-      };
+    if (featureError) {
+      return featureError;
     }
+  }
+
+  const { maxActiveRules, name } = PLANS[plan];
+
+  if (maxActiveRules === null) {
+    return null;
+  }
+
+  const activeRules = await prisma.rule.count({
+    where: {
+      shopId,
+      enabled: true,
+      ...(excludeRuleIds.length ? { id: { notIn: excludeRuleIds } } : {}),
+    },
+  });
 
-    return { hasActiveSubscription: false, subscription: null };
-  } catch (error) {
-    console.error('Error checking subscription:', error);
-    return { hasActiveSubscription: false, subscription: null };
+  if (activeRules + enabledRules.length <= maxActiveRules) {
+    return null;
   }
+
+  return enabledRules.length === 1
+    ? `The ${name} plan allows ${maxActiveRules} active rules. Disable a rule or upgrade to add more.`
+    : `The ${name} plan allows ${maxActiveRules} active rules and ${activeRules} are already on, `
+      + `so ${enabledRules.length} more won't fit. Disable some rules or upgrade.`;
+}
+
+export function hasFeature(plan, feature) {
+  return PLANS[planKey(plan)].features.includes(feature);
 }
 
-export async function requireSubscription(req, res, next) {
-  try {
-    const session = await shopify.auth.getSession(req.headers.authorization);
-    const { hasActiveSubscription } = await checkSubscriptionStatus(session);
+/**
+ * Express middleware for app areas that are only in some plans; runs after
+ * requireAdminSession.
+ */
+export function requireFeature(feature) {
+  return async (req, res, next) => {
+    try {
+      if (hasFeature(await getShopPlan(req.shop), feature)) {
+        return next();
+      }
 
-    if (!hasActiveSubscription) {
-      // Check if in trial period
-      const shop = await prisma.shop.findUnique({
-        where: { id: session.shop },
+      res.status(403).json({
+        success: false,
+        error: upgradeMessage(FEATURE_LABELS[feature] || feature, (plan) => plan.features.includes(feature)),
+        upgradeRequired: true,
       });
+    } catch (error) {
+      console.error('Entitlement check error:', error);
+      res.status(500).json({ success: false, error: 'Failed to verify plan' });
+    }
+  };
+}
+
+/**
+ * Works out which of rules (enabled ones and ones disabled by a plan limit,
+ * oldest first) a plan change enables and disables. Rules that were already
+ * enabled keep their place before the others. audited pairs each changed rule
+ * with how it will be saved.
+ */
+export function planLimitChanges(plan, rules) {
+  const { maxActiveRules } = PLANS[planKey(plan)];
+  const ordered = [...rules].sort((a, b) => Number(b.enabled) - Number(a.enabled));
+  const toEnable = [];
+  const toDisable = [];
+  const audited = [];
+  let activeRules = 0;
 
-      const trialEndDate = new Date(shop.createdAt);
-      trialEndDate.setDate(trialEndDate.getDate() + BILLING_CONFIG.trialDays);
+  for (const rule of ordered) {
+    const allowed = !ruleEntitlementError(plan, rule)
+      && (maxActiveRules === null || activeRules < maxActiveRules);
 
-      if (new Date() > trialEndDate) {
-        return res.status(402).json({
-          error: 'Subscription required',
-          message: 'Please activate a subscription to continue using this app',
-        });
+    if (allowed) {
+      activeRules += 1;
+
+      if (!rule.enabled) {
+        toEnable.push(rule.id);
+        audited.push([rule, { ...rule, enabled: true, disabledReason: null }]);
       }
+    } else if (rule.enabled) {
+      toDisable.push(rule.id);
+      audited.push([rule, { ...rule, enabled: false, disabledReason: PLAN_LIMIT_REASON }]);
     }
+  }
+
+  return { toEnable, toDisable, audited };
+}
 
-    next();
-  } catch (error) {
-    console.error('Subscription check error:', error);
-    res.status(500).json({ error: 'Failed to verify subscription' });
+/**
+ * Brings the shop's rules in line with its plan after a plan change. Rules
+ * that no longer fit are disabled with PLAN_LIMIT_REASON, never deleted, and
+ * rules disabled that way come back once the plan allows them again. The
+ * changes are logged as made by the system. Returns how many rules were
+ * enabled and disabled.
+ */
+export async function applyPlanLimits(shopId) {
+  const plan = await getShopPlan(shopId);
+  const rules = await prisma.rule.findMany({
+    where: {
+      shopId,
+      OR: [
+        { enabled: true },
+        { disabledReason: PLAN_LIMIT_REASON },
+      ],
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+  const { toEnable, toDisable, audited } = planLimitChanges(plan, rules);
+
+  if (toEnable.length || toDisable.length) {
+    await prisma.$transaction([
+      prisma.rule.updateMany({
+        where: { id: { in: toEnable } },
+        data: { enabled: true, disabledReason: null },
+      }),
+      prisma.rule.updateMany({
+        where: { id: { in: toDisable } },
+        data: { enabled: false, disabledReason: PLAN_LIMIT_REASON },
+      }),
+      prisma.auditEntry.createMany({
+        data: ruleAuditEntries(shopId, SYSTEM_ACTOR, audited, { source: 'plan' }),
+      }),
+    ]);
   }
+
+  return { enabled: toEnable.length, disabled: toDisable.length };
 }
 
-export async function cancelSubscription(session, subscriptionId) {
-  const client = new shopify.clients.Graphql({ session });
-  
-  const mutation = `
-    mutation AppSubscriptionCancel($id: ID!) {
-      appSubscriptionCancel(id: $id) {
-        appSubscription {
-          id
-          status
-        }
-        userErrors {
-          field
-          message
-        }
-      }
-    }
-  `;
+export async function createRecurringCharge(session, plan) {
+  const entitlements = PLANS[plan];
 
-  try {
-    const response = await client.query({
-      data: {
-        query: mutation,
-        variables: { id: subscriptionId },
+  if (!entitlements?.subscriptionName) {
+    throw new Error(`Unknown paid plan ${plan}`);
+  }
+
+  const returnUrl = new URL(BILLING_CALLBACK_PATH, `${shopify.config.hostScheme}://${shopify.config.hostName}`);
+  returnUrl.searchParams.set('shop', session.shop);
+
+  const usage = getUsagePricing(plan);
+  const lineItems = [
+    {
+      plan: {
+        appRecurringPricingDetails: {
+          price: {
+            amount: entitlements.amount,
+            currencyCode: BILLING_CONFIG.currencyCode,
+          },
+          interval: BILLING_CONFIG.interval,
+        },
+      },
+    },
+  ];
+
+  if (usage) {
+    lineItems.push({
+      plan: {
+        appUsagePricingDetails: {
+          terms: usageTerms(usage),
+          cappedAmount: {
+            amount: usage.cappedAmount,
+            currencyCode: usage.currencyCode,
+          },
+        },
       },
     });
+  }
 
-    const { appSubscription, userErrors } = 
-      response.body.data.appSubscriptionCancel;
+  const data = await runAdminQuery(session, APP_SUBSCRIPTION_CREATE_MUTATION, {
+    name: entitlements.subscriptionName,
+    returnUrl: returnUrl.toString(),
+    test: process.env.NODE_ENV === 'development',
+    trialDays: BILLING_CONFIG.trialDays,
+    lineItems,
+  });
 
-    if (userErrors && userErrors.length > 0) {
-      throw new Error(userErrors[0].message);
-    }
+  const { appSubscription, confirmationUrl, userErrors } = data.appSubscriptionCreate || {};
 
-    await prisma.shop.update({
-      where: { id: session.shop },
-      data: {
-        subscriptionStatus: appSubscription.status,
+  if (userErrors?.length) {
+    throw new Error(userErrors[0].message);
+  }
+
+  // Recorded as PENDING until the merchant approves, unless it would replace
+  // a plan that is still in force.
+  await prisma.shop.updateMany({
+    where: {
+      id: session.shop,
+      OR: [
+        { subscriptionStatus: null },
+        { subscriptionStatus: { not: 'ACTIVE' } },
+      ],
+    },
+    data: {
+      subscriptionId: appSubscription.id,
+      subscriptionStatus: appSubscription.status,
+    },
+  });
+
+  return confirmationUrl;
+}
+
+// Asks Shopify for the live subscription and stores it, and the plan it
+// pays for, on the shop.
+export async function checkSubscriptionStatus(session) {
+  const data = await runAdminQuery(session, ACTIVE_SUBSCRIPTIONS_QUERY);
+  const subscription = data.currentAppInstallation?.activeSubscriptions?.[0] || null;
+
+  await saveSubscription(session.shop, subscription);
+
+  return {
+    hasActiveSubscription: subscription?.status === 'ACTIVE',
+    plan: planForSubscription(subscription),
+    subscription,
+  };
+}
+
+export async function getBillingStatus(shopId) {
+  const [shop, activeRules] = await Promise.all([
+    prisma.shop.findUnique({
+      where: { id: shopId },
+      select: {
+        plan: true,
+        subscriptionId: true,
+        subscriptionStatus: true,
       },
-    });
+    }),
+    prisma.rule.count({ where: { shopId, enabled: true } }),
+  ]);
 
-    return appSubscription;
-  } catch (error) {
-    console.error('Error canceling subscription:', error);
-    throw error;
+  return {
+    plan: planKey(shop?.plan),
+    plans: PLAN_ORDER.map((key) => ({
+      key,
+      name: PLANS[key].name,
+      amount: PLANS[key].amount,
+      currencyCode: BILLING_CONFIG.currencyCode,
+      interval: BILLING_CONFIG.interval,
+      trialDays: PLANS[key].amount ? BILLING_CONFIG.trialDays : 0,
+      maxActiveRules: PLANS[key].maxActiveRules,
+      ruleTypes: PLANS[key].ruleTypes,
+      features: PLANS[key].features,
+      usage: getUsagePricing(key),
+    })),
+    subscriptionId: shop?.subscriptionId || null,
+    subscriptionStatus: shop?.subscriptionStatus || null,
+    activeRules,
+  };
+}
+
+export async function cancelSubscription(session, subscriptionId) {
+  const data = await runAdminQuery(session, APP_SUBSCRIPTION_CANCEL_MUTATION, {
+    id: subscriptionId,
+  });
+
+  const { appSubscription, userErrors } = data.appSubscriptionCancel || {};
+
+  if (userErrors?.length) {
+    throw new Error(userErrors[0].message);
   }
+
+  await saveSubscription(session.shop, appSubscription);
+
+  return appSubscription;
+}
+
+// app_subscriptions/update. Any subscription that becomes active is the
+// shop's plan; other statuses only count for the subscription we have on
+// record, so declining an upgrade doesn't overwrite the plan in force.
+export async function handleSubscriptionUpdate(shopId, payload) {
+  const subscriptionId = payload.app_subscription?.admin_graphql_api_id;
+  const status = payload.app_subscription?.status?.toUpperCase();
+
+  if (!subscriptionId || !status) {
+    return;
+  }
+
+  if (status === 'ACTIVE') {
+    // The payload has no line items or billing period, which usage
+    // charges need, so those are read back from Shopify.
+    const session = await getOfflineSession(shopId);
+
+    if (session) {
+      await checkSubscriptionStatus(session);
+    } else {
+      await saveSubscription(shopId, { id: subscriptionId, name: payload.app_subscription.name, status });
+    }
+    return;
+  }
+
+  await prisma.shop.updateMany({
+    where: { id: shopId, subscriptionId },
+    data: {
+      subscriptionStatus: status,
+      plan: DEFAULT_PLAN,
+      usageLineItemId: null,
+      currentPeriodEnd: null,
+    },
+  });
 }
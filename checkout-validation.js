@@ -0,0 +1,232 @@
+import { runAdminQuery } from './shopify.js';
+import prisma from './prisma.js';
+import { loadCollectionMembership } from './collections.js';
+import { isRuleActive, nextScheduleBoundary, normalizeId, parseCustomerTags } from './rules-engine.js';
+import { toMoneyNumber } from './rule-fields.js';
+
+// The cart and checkout validation Function reads the shop's rules from this
+// app-owned metafield, since Functions can't call back into the app.
+export const POLICY_METAFIELD_NAMESPACE = '$app:limitpro';
+export const POLICY_METAFIELD_KEY = 'policy';
+// Input query variables live on the validation itself.
+export const INPUT_VARIABLES_METAFIELD_KEY = 'input-variables';
+const POLICY_VERSION = 1;
+
+const SHOP_ID_QUERY = `
+  query LimitProShopId {
+    shop {
+      id
+    }
+  }
+`;
+
+const METAFIELDS_SET_MUTATION = `
+  mutation LimitProPolicySet($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const VALIDATIONS_QUERY = `
+  query LimitProValidations {
+    validations(first: 25) {
+      nodes {
+        id
+        enabled
+        shopifyFunction {
+          id
+        }
+      }
+    }
+  }
+`;
+
+const VALIDATION_CREATE_MUTATION = `
+  mutation LimitProValidationCreate($validation: ValidationCreateInput!) {
+    validationCreate(validation: $validation) {
+      validation {
+        id
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+function assertNoUserErrors(userErrors, action) {
+  if (userErrors?.length) {
+    throw new Error(`${action} failed: ${userErrors.map((error) => error.message).join(', ')}`);
+  }
+}
+
+// Builds the compact policy document the Function evaluates. Collection
+// membership is inlined because the Function input can't look it up, and
+// only rules active right now are included because the Function has no
+// clock; nextChangeAt tells the app when to sync again.
+export async function buildCheckoutPolicy(shopId, now = Date.now()) {
+  const [scheduledRules, settings] = await Promise.all([
+    prisma.rule.findMany({
+      where: { shopId, enabled: true },
+      select: {
+        id: true,
+        ruleType: true,
+        targetId: true,
+        targetTitle: true,
+        minQuantity: true,
+        maxQuantity: true,
+        stepQuantity: true,
+        minValue: true,
+        maxValue: true,
+        aggregation: true,
+        startsAt: true,
+        endsAt: true,
+        audience: true,
+        customerTags: true,
+        priority: true,
+        combination: true,
+        message: true,
+      },
+    }),
+    prisma.settings.findUnique({
+      where: { shopId },
+      select: {
+        globalMinCart: true,
+        globalMaxCart: true,
+        globalMinCartValue: true,
+        globalMaxCartValue: true,
+        globalMinProducts: true,
+        globalMaxProducts: true,
+        globalMinVariants: true,
+        globalMaxVariants: true,
+        globalMinLines: true,
+        globalMaxLines: true,
+        blockCheckout: true,
+      },
+    }),
+  ]);
+
+  const rules = scheduledRules.filter((rule) => isRuleActive(rule, now));
+  const nextChangeAt = nextScheduleBoundary(scheduledRules, now);
+  const collections = await loadCollectionMembership(
+    shopId,
+    rules.filter((rule) => rule.ruleType === 'collection').map((rule) => rule.targetId)
+  );
+
+  return {
+    version: POLICY_VERSION,
+    enforce: settings?.blockCheckout ?? true,
+    settings: {
+      globalMinCart: settings?.globalMinCart ?? null,
+      globalMaxCart: settings?.globalMaxCart ?? null,
+      globalMinCartValue: toMoneyNumber(settings?.globalMinCartValue),
+      globalMaxCartValue: toMoneyNumber(settings?.globalMaxCartValue),
+      globalMinProducts: settings?.globalMinProducts ?? null,
+      globalMaxProducts: settings?.globalMaxProducts ?? null,
+      globalMinVariants: settings?.globalMinVariants ?? null,
+      globalMaxVariants: settings?.globalMaxVariants ?? null,
+      globalMinLines: settings?.globalMinLines ?? null,
+      globalMaxLines: settings?.globalMaxLines ?? null,
+    },
+    rules: rules.map((rule) => ({
+      id: rule.id,
+      ruleType: rule.ruleType,
+      targetId: normalizeId(rule.targetId),
+      targetTitle: rule.targetTitle,
+      minQuantity: rule.minQuantity,
+      maxQuantity: rule.maxQuantity,
+      stepQuantity: rule.stepQuantity,
+      minValue: toMoneyNumber(rule.minValue),
+      maxValue: toMoneyNumber(rule.maxValue),
+      aggregation: rule.aggregation,
+      audience: rule.audience,
+      customerTags: rule.customerTags,
+      priority: rule.priority,
+      combination: rule.combination,
+      message: rule.message,
+    })),
+    collections,
+    nextChangeAt: nextChangeAt === null ? null : new Date(nextChangeAt).toISOString(),
+  };
+}
+
+// Creates the checkout validation for our Function the first time it's
+// needed; merchants can still turn it off under Settings > Checkout.
+export async function ensureCheckoutValidation(session) {
+  const functionId = process.env.SHOPIFY_LIMITPRO_CART_VALIDATION_ID;
+
+  if (!functionId) {
+    return null;
+  }
+
+  const data = await runAdminQuery(session, VALIDATIONS_QUERY);
+  const existing = (data.validations?.nodes || [])
+    .find((validation) => normalizeId(validation.shopifyFunction?.id) === normalizeId(functionId));
+
+  if (existing) {
+    return existing.id;
+  }
+
+  const result = await runAdminQuery(session, VALIDATION_CREATE_MUTATION, {
+    validation: {
+      functionId,
+      enable: true,
+      blockOnFailure: true,
+    },
+  });
+
+  assertNoUserErrors(result.validationCreate?.userErrors, 'validationCreate');
+  return result.validationCreate?.validation?.id || null;
+}
+
+// The Function can only ask about specific customer tags, so it gets the
+// tags any active rule targets.
+export function buildInputVariables(policy) {
+  return {
+    customerTags: parseCustomerTags(policy.rules.flatMap((rule) => rule.customerTags || [])),
+  };
+}
+
+export async function syncCheckoutPolicy(session, shopId) {
+  const policy = await buildCheckoutPolicy(shopId);
+  const shopData = await runAdminQuery(session, SHOP_ID_QUERY);
+  const ownerId = shopData.shop?.id;
+
+  if (!ownerId) {
+    throw new Error(`Unable to resolve shop GID for ${shopId}`);
+  }
+
+  const validationId = await ensureCheckoutValidation(session);
+  const metafields = [
+    {
+      ownerId,
+      namespace: POLICY_METAFIELD_NAMESPACE,
+      key: POLICY_METAFIELD_KEY,
+      type: 'json',
+      value: JSON.stringify(policy),
+    },
+  ];
+
+  if (validationId) {
+    metafields.push({
+      ownerId: validationId,
+      namespace: POLICY_METAFIELD_NAMESPACE,
+      key: INPUT_VARIABLES_METAFIELD_KEY,
+      type: 'json',
+      value: JSON.stringify(buildInputVariables(policy)),
+    });
+  }
+
+  const result = await runAdminQuery(session, METAFIELDS_SET_MUTATION, {
+    metafields,
+  });
+
+  assertNoUserErrors(result.metafieldsSet?.userErrors, 'metafieldsSet');
+
+  return policy;
+}
@@ -0,0 +1,198 @@
+import { runAdminQuery } from './shopify.js';
+import prisma from './prisma.js';
+import { normalizeId } from './rules-engine.js';
+
+const COLLECTION_PRODUCTS_QUERY = `
+  query LimitProCollectionProducts($id: ID!, $after: String) {
+    collection(id: $id) {
+      id
+      products(first: 250, after: $after) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
+          id
+        }
+      }
+    }
+  }
+`;
+
+const PRODUCT_COLLECTIONS_QUERY = `
+  query LimitProProductCollections($id: ID!) {
+    product(id: $id) {
+      id
+      collections(first: 250) {
+        nodes {
+          id
+        }
+      }
+    }
+  }
+`;
+
+function collectionGid(collectionId) {
+  return `gid://shopify/Collection/${normalizeId(collectionId)}`;
+}
+
+function productGid(productId) {
+  return `gid://shopify/Product/${normalizeId(productId)}`;
+}
+
+// Collections that at least one rule targets. Membership is only cached for
+// these so webhooks for unrelated collections stay cheap.
+export async function listTrackedCollectionIds(shopId) {
+  const rules = await prisma.rule.findMany({
+    where: {
+      shopId,
+      ruleType: 'collection',
+      targetId: { not: null },
+    },
+    select: { targetId: true },
+    distinct: ['targetId'],
+  });
+
+  return rules.map((rule) => normalizeId(rule.targetId)).filter(Boolean);
+}
+
+export async function isTrackedCollection(shopId, collectionId) {
+  const trackedIds = await listTrackedCollectionIds(shopId);
+  return trackedIds.includes(normalizeId(collectionId));
+}
+
+export async function syncCollectionProducts(session, shopId, collectionId) {
+  const normalizedCollectionId = normalizeId(collectionId);
+  if (!normalizedCollectionId) return 0;
+
+  const productIds = new Set();
+  let after = null;
+
+  do {
+    const data = await runAdminQuery(session, COLLECTION_PRODUCTS_QUERY, {
+      id: collectionGid(normalizedCollectionId),
+      after,
+    });
+    const connection = data.collection?.products;
+
+    (connection?.nodes || []).forEach((product) => {
+      const productId = normalizeId(product.id);
+      if (productId) productIds.add(productId);
+    });
+
+    after = connection?.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (after);
+
+  const syncedAt = new Date();
+
+  await prisma.$transaction([
+    prisma.collectionProduct.deleteMany({
+      where: { shopId, collectionId: normalizedCollectionId },
+    }),
+    prisma.collectionProduct.createMany({
+      data: Array.from(productIds).map((productId) => ({
+        shopId,
+        collectionId: normalizedCollectionId,
+        productId,
+        syncedAt,
+      })),
+      skipDuplicates: true,
+    }),
+  ]);
+
+  return productIds.size;
+}
+
+// Re-reads which tracked collections a product belongs to. Used for
+// products/update, where the payload doesn't say which collections changed.
+export async function syncProductCollections(session, shopId, productId) {
+  const normalizedProductId = normalizeId(productId);
+  if (!normalizedProductId) return [];
+
+  const trackedIds = await listTrackedCollectionIds(shopId);
+  if (!trackedIds.length) return [];
+
+  const data = await runAdminQuery(session, PRODUCT_COLLECTIONS_QUERY, {
+    id: productGid(normalizedProductId),
+  });
+  const memberOf = (data.product?.collections?.nodes || [])
+    .map((collection) => normalizeId(collection.id))
+    .filter((collectionId) => trackedIds.includes(collectionId));
+  const syncedAt = new Date();
+
+  await prisma.$transaction([
+    prisma.collectionProduct.deleteMany({
+      where: { shopId, productId: normalizedProductId },
+    }),
+    prisma.collectionProduct.createMany({
+      data: memberOf.map((collectionId) => ({
+        shopId,
+        collectionId,
+        productId: normalizedProductId,
+        syncedAt,
+      })),
+      skipDuplicates: true,
+    }),
+  ]);
+
+  return memberOf;
+}
+
+export async function removeCollection(shopId, collectionId) {
+  const normalizedCollectionId = normalizeId(collectionId);
+  if (!normalizedCollectionId) return;
+
+  await prisma.collectionProduct.deleteMany({
+    where: { shopId, collectionId: normalizedCollectionId },
+  });
+}
+
+export async function removeProduct(shopId, productId) {
+  const normalizedProductId = normalizeId(productId);
+  if (!normalizedProductId) return;
+
+  await prisma.collectionProduct.deleteMany({
+    where: { shopId, productId: normalizedProductId },
+  });
+}
+
+export async function listProductCollectionIds(shopId, productId) {
+  const normalizedProductId = normalizeId(productId);
+  if (!normalizedProductId) return [];
+
+  const memberships = await prisma.collectionProduct.findMany({
+    where: { shopId, productId: normalizedProductId },
+    select: { collectionId: true },
+  });
+
+  return memberships.map((membership) => membership.collectionId);
+}
+
+// Returns { [collectionId]: productId[] } for the given collections, the
+// shape the rules engine and the checkout Function expect.
+export async function loadCollectionMembership(shopId, collectionIds) {
+  const membership = {};
+  const normalizedIds = Array.from(new Set(collectionIds.map(normalizeId).filter(Boolean)));
+
+  if (!normalizedIds.length) {
+    return membership;
+  }
+
+  const rows = await prisma.collectionProduct.findMany({
+    where: {
+      shopId,
+      collectionId: { in: normalizedIds },
+    },
+    select: {
+      collectionId: true,
+      productId: true,
+    },
+  });
+
+  for (const { collectionId, productId } of rows) {
+    if (!membership[collectionId]) membership[collectionId] = [];
+    membership[collectionId].push(productId);
+  }
+
+  return membership;
+}
@@ -0,0 +1,196 @@
+import prisma from './prisma.js';
+
+// Everything LimitPro stores against a customer. Anything new that keeps
+// customer ids (limit overrides, violation logs, ...) must add a source here
+// so data requests export it and redactions remove it.
+const CUSTOMER_DATA_SOURCES = [
+  {
+    name: 'purchaseHistory',
+    export: (shopId, { customerId }) => prisma.purchaseHistory.findMany({
+      where: { shopId, customerId },
+      select: {
+        orderId: true,
+        lineItemId: true,
+        productId: true,
+        variantId: true,
+        quantity: true,
+        purchasedAt: true,
+      },
+      orderBy: { purchasedAt: 'asc' },
+    }),
+    // Order ids cover rows recorded before the order was linked to the
+    // customer we were asked about.
+    redact: async (shopId, { customerId, orderIds }) => {
+      const { count } = await prisma.purchaseHistory.deleteMany({
+        where: {
+          shopId,
+          OR: [
+            { customerId },
+            ...(orderIds.length ? [{ orderId: { in: orderIds } }] : []),
+          ],
+        },
+      });
+      return count;
+    },
+  },
+];
+
+function toIdList(values) {
+  return (Array.isArray(values) ? values : [])
+    .map((value) => value?.toString())
+    .filter(Boolean);
+}
+
+export async function exportCustomerData(shopId, customerId) {
+  const data = {};
+
+  for (const source of CUSTOMER_DATA_SOURCES) {
+    data[source.name] = await source.export(shopId, { customerId });
+  }
+
+  return data;
+}
+
+export async function redactCustomerData(shopId, customerId, orderIds = []) {
+  const deleted = {};
+
+  for (const source of CUSTOMER_DATA_SOURCES) {
+    deleted[source.name] = await source.redact(shopId, { customerId, orderIds });
+  }
+
+  return deleted;
+}
+
+// Earlier data request exports hold a copy of the customer's data. After a
+// redact they keep only the ids and how many records each source exported.
+// Returns how many exports were scrubbed.
+async function scrubCustomerExports(shopId, customerId) {
+  const requests = await prisma.complianceRequest.findMany({
+    where: { shopId, customerId, topic: 'customers/data_request' },
+    select: { id: true, report: true },
+  });
+  const exports = requests.filter((request) => request.report?.data);
+
+  for (const request of exports) {
+    const { shop, generatedAt, data } = request.report;
+
+    await prisma.complianceRequest.update({
+      where: { id: request.id },
+      data: {
+        report: {
+          shop,
+          customerId,
+          generatedAt,
+          redactedAt: new Date().toISOString(),
+          counts: Object.fromEntries(Object.entries(data)
+            .map(([source, records]) => [source, Array.isArray(records) ? records.length : 0])),
+        },
+      },
+    });
+  }
+
+  return exports.length;
+}
+
+// Records the request, runs it, and stamps the outcome. Shopify redelivers
+// webhooks, so a webhook id that already completed is not processed twice.
+async function runComplianceRequest(shopId, topic, payload, webhookId, perform) {
+  const customerId = payload.customer?.id?.toString() || null;
+  const orderIds = toIdList(payload.orders_requested || payload.orders_to_redact);
+
+  if (webhookId) {
+    const existing = await prisma.complianceRequest.findUnique({ where: { webhookId } });
+    if (existing?.status === 'completed') {
+      return existing;
+    }
+  }
+
+  const request = webhookId
+    ? await prisma.complianceRequest.upsert({
+      where: { webhookId },
+      update: { status: 'received', error: null },
+      create: {
+        shopId,
+        topic,
+        webhookId,
+        customerId,
+        dataRequestId: payload.data_request?.id?.toString() || null,
+        orderIds,
+      },
+    })
+    : await prisma.complianceRequest.create({
+      data: {
+        shopId,
+        topic,
+        customerId,
+        dataRequestId: payload.data_request?.id?.toString() || null,
+        orderIds,
+      },
+    });
+
+  try {
+    const report = customerId ? await perform(customerId, orderIds) : null;
+
+    return await prisma.complianceRequest.update({
+      where: { id: request.id },
+      data: {
+        status: 'completed',
+        ...(report ? { report } : {}),
+        completedAt: new Date(),
+      },
+    });
+  } catch (error) {
+    await prisma.complianceRequest.update({
+      where: { id: request.id },
+      data: {
+        status: 'failed',
+        error: error.message,
+      },
+    });
+    throw error;
+  }
+}
+
+// customers/data_request: the export is kept on the audit record for the
+// merchant to download and pass on to the customer.
+export function handleCustomerDataRequest(shopId, payload, webhookId = null) {
+  return runComplianceRequest(shopId, 'customers/data_request', payload, webhookId, async (customerId) => ({
+    shop: shopId,
+    customerId,
+    generatedAt: new Date().toISOString(),
+    data: await exportCustomerData(shopId, customerId),
+  }));
+}
+
+// customers/redact: deletes the customer's data, including the copies in
+// earlier data request exports, and keeps only the ids and per-source counts
+// as proof it happened.
+export function handleCustomerRedact(shopId, payload, webhookId = null) {
+  return runComplianceRequest(shopId, 'customers/redact', payload, webhookId, async (customerId, orderIds) => ({
+    deleted: await redactCustomerData(shopId, customerId, orderIds),
+    scrubbedExports: await scrubCustomerExports(shopId, customerId),
+  }));
+}
+
+export function listComplianceRequests(shopId) {
+  return prisma.complianceRequest.findMany({
+    where: { shopId },
+    select: {
+      id: true,
+      topic: true,
+      customerId: true,
+      dataRequestId: true,
+      status: true,
+      error: true,
+      receivedAt: true,
+      completedAt: true,
+    },
+    orderBy: { receivedAt: 'desc' },
+  });
+}
+
+export function findComplianceRequest(shopId, id) {
+  return prisma.complianceRequest.findFirst({
+    where: { id, shopId },
+  });
+}
@@ -0,0 +1,77 @@
+/**
+ * Cart and checkout validation for LimitPro.
+ *
+ * Evaluates the rule set the app syncs to the shop's `$app:limitpro.policy`
+ * metafield, so limits are enforced at checkout even when the theme embed is
+ * bypassed (direct /checkout links, accelerated wallet buttons). Evaluation is
+ * the shared rules engine, so checkout agrees with the cart page.
+ *
+ * Per-customer purchase windows need order history the Function can't read,
+ * so they are enforced here as per-order limits only. Audience targeting uses
+ * the buyer identity Shopify provides, so it can't be spoofed from the theme.
+ */
+import { compilePolicy, evaluateCart, normalizeId } from '../../../rules-engine.js';
+
+const NO_ERRORS = { errors: [] };
+
+function parsePolicy(input) {
+  const rawValue = input.shop?.policy?.value;
+  if (!rawValue) return null;
+
+  try {
+    return JSON.parse(rawValue);
+  } catch (error) {
+    return null;
+  }
+}
+
+function customerContext(buyerIdentity) {
+  const customer = buyerIdentity?.customer;
+
+  if (!customer) {
+    return null;
+  }
+
+  return {
+    loggedIn: true,
+    tags: (customer.hasTags || []).filter((entry) => entry.hasTag).map((entry) => entry.tag),
+    companyId: normalizeId(buyerIdentity.purchasingCompany?.company?.id),
+  };
+}
+
+export function run(input) {
+  const policy = parsePolicy(input);
+
+  if (!policy || policy.enforce === false) {
+    return NO_ERRORS;
+  }
+
+  const rate = Number(input.presentmentCurrencyRate) || 1;
+  const currency = input.cart?.lines?.[0]?.cost?.totalAmount?.currencyCode || null;
+  const lines = (input.cart?.lines || [])
+    .filter((line) => line.merchandise?.__typename === 'ProductVariant')
+    .map((line) => ({
+      title: line.merchandise.product?.title || 'This item',
+      quantity: line.quantity,
+      // Thresholds are in the shop currency; line costs are in presentment currency.
+      value: Number(line.cost?.totalAmount?.amount || 0) / rate,
+      productId: normalizeId(line.merchandise.product?.id),
+      variantId: normalizeId(line.merchandise.id),
+    }));
+
+  const { violations } = evaluateCart(compilePolicy(policy), {
+    lines,
+    customer: customerContext(input.cart?.buyerIdentity),
+  }, {
+    formatMoney: (amount) => (currency
+      ? `${(amount * rate).toFixed(2)} ${currency}`
+      : (amount * rate).toFixed(2)),
+  });
+
+  return {
+    errors: Array.from(new Set(violations.map((violation) => violation.message))).map((localizedMessage) => ({
+      localizedMessage,
+      target: 'cart',
+    })),
+  };
+}
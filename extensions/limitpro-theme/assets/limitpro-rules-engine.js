@@ -0,0 +1,717 @@
+// Generated from rules-engine.js by scripts/build-rules-engine.js. Do not edit.
+(function () {
+  /**
+   * LimitPro rule evaluation engine.
+   *
+   * Pure functions shared by the server (the validate-cart route and the product rule
+   * summary), the theme embed (bundled into assets/limitpro-rules-engine.js by
+   * scripts/build-rules-engine.js) and the checkout validation Function. No I/O
+   * and no platform APIs, so it runs unchanged in Node, the browser and Javy.
+   *
+   * Input
+   *   rule        { id, ruleType: 'product' | 'variant' | 'collection' | 'cart',
+   *                 targetId, targetTitle, minQuantity, maxQuantity, stepQuantity,
+   *                 minValue, maxValue,
+   *                 aggregation: 'per_item' | 'combined' (product and collection),
+   *                 purchaseWindow, startsAt, endsAt,
+   *                 audience: 'all' | 'logged_in' | 'guest' | 'b2b', customerTags,
+   *                 priority, combination: 'restrictive' | 'override' | 'additive',
+   *                 message }
+   *   settings    { globalMinCart, globalMaxCart, globalMinCartValue, globalMaxCartValue,
+   *                 globalMinProducts, globalMaxProducts, globalMinVariants,
+   *                 globalMaxVariants, globalMinLines, globalMaxLines }
+   *   collections { [collectionId]: productId[] }
+   *   line        { title, quantity, value, productId, variantId }
+   *   history     [{ productId, variantId, quantity, purchasedAt }]
+   *   customer    { loggedIn, tags, companyId } (omit for a guest)
+   *
+   *   startsAt/endsAt are instants (Date, ISO string or ms); either may be null
+   *   for an open-ended schedule. The shop timezone only matters when the
+   *   merchant enters them, so it never reaches the engine.
+   *
+   *   A combined product rule limits the sum over every line of the product
+   *   (all its variants) rather than each line on its own, like a combined
+   *   collection rule does for the products in a collection.
+   *
+   *   A rule with customerTags only applies to customers with at least one of
+   *   them (case-insensitive), on top of its audience.
+   *
+   *   Ids may be numeric strings or GIDs. Money (minValue, maxValue, line value)
+   *   is in the shop currency; options.formatMoney turns a shop-currency amount
+   *   into display text for the shopper.
+   *
+   * Output
+   *   evaluateCart returns { valid, violations }. A violation is
+   *   { scope: 'item' | 'product' | 'collection' | 'cart', type, ruleId, limit,
+   *   current, message }, plus item/itemIndex/productId/variantId for item
+   *   scope, item/itemIndexes/productId for product scope (itemIndexes lists
+   *   every line that counted towards the total), collectionId for collection
+   *   scope and window/purchased for per-customer limits. ruleId is null for
+   *   the store-wide cart settings, which can also limit how many different
+   *   products, different variants and lines the cart holds (cart scope,
+   *   types cart_products_min, cart_variants_max, cart_lines_min and so on).
+   *
+   * Conflict resolution
+   *   Rules that limit the same thing (the product, variant and per-item
+   *   collection rules on one cart line; the cart rules and settings on the
+   *   cart total) are first combined by precedence: higher priority first, and
+   *   on a tie the narrower rule (variant, product, collection, cart, then the
+   *   store-wide settings). Going up from the lowest, each rule's combination
+   *   decides what it does to the rules below it, per limit it sets:
+   *     restrictive  nothing; both apply (the default)
+   *     override     the lower rules lose that limit, so a variant "max 10"
+   *                  can relax a product "max 2"
+   *     additive     its amount is added to the lower rules' limit (product
+   *                  max 2 plus variant max 3 allows 5); steps can't be added
+   *                  and apply as restrictive
+   *   What's left is enforced rule by rule, so the most restrictive bound wins:
+   *   the effective minimum is the highest min, the effective maximum the
+   *   lowest max, and quantities must be a multiple of every step (their LCM).
+   *   Each failing rule reports its own violation. summarizeProductRules reports
+   *   the same effective bounds, and evaluateProductQuantity uses the same checks
+   *   on a single line, so the product page, cart and checkout always agree.
+   *   Combined product and collection rules depend on the whole cart and always
+   *   apply on their own; on a product page only their maximum can be checked. Rules
+   *   whose audience doesn't match the customer are skipped before any of
+   *   this, as if they didn't exist.
+   */
+
+  const RULE_AUDIENCES = ['all', 'logged_in', 'guest', 'b2b'];
+  const RULE_COMBINATIONS = ['restrictive', 'override', 'additive'];
+
+  const COMBINED_LIMIT_FIELDS = ['minQuantity', 'maxQuantity', 'stepQuantity', 'minValue', 'maxValue'];
+  // Breaks priority ties: narrower rules rank higher.
+  const RULE_SPECIFICITY = {
+    settings: 0,
+    cart: 1,
+    collection: 2,
+    product: 3,
+    variant: 4,
+  };
+
+  const PURCHASE_WINDOW_DURATION_MS = {
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000,
+  };
+
+  const VIOLATION_TYPES = {
+    item: {
+      min: 'min',
+      max: 'max',
+      step: 'step',
+      valueMin: 'value_min',
+      valueMax: 'value_max',
+    },
+    product: {
+      min: 'product_min',
+      max: 'product_max',
+      step: 'product_step',
+      valueMin: 'product_value_min',
+      valueMax: 'product_value_max',
+    },
+    collection: {
+      min: 'collection_min',
+      max: 'collection_max',
+      step: 'collection_step',
+      valueMin: 'collection_value_min',
+      valueMax: 'collection_value_max',
+    },
+    cart: {
+      min: 'cart_min',
+      max: 'cart_max',
+      step: 'cart_step',
+      valueMin: 'cart_value_min',
+      valueMax: 'cart_value_max',
+    },
+  };
+
+  const DEFAULT_MESSAGES = {
+    item: {
+      min: (title, limit) => `Minimum quantity${title ? ` for ${title}` : ''} is ${limit}`,
+      max: (title, limit) => `Maximum quantity${title ? ` for ${title}` : ''} is ${limit}`,
+      step: (title, limit) => (title
+        ? `${title} must be bought in multiples of ${limit}`
+        : `Quantity must be a multiple of ${limit}`),
+      valueMin: (title, amount) => `Minimum spend on ${title || 'this item'} is ${amount}`,
+      valueMax: (title, amount) => `Maximum spend on ${title || 'this item'} is ${amount}`,
+    },
+    product: {
+      min: (title, limit) => `Minimum quantity for ${title} is ${limit}, across all options`,
+      max: (title, limit) => `Maximum quantity for ${title} is ${limit}, across all options`,
+      step: (title, limit) => `${title} must be bought in multiples of ${limit}, across all options`,
+      valueMin: (title, amount) => `Minimum spend on ${title} is ${amount}`,
+      valueMax: (title, amount) => `Maximum spend on ${title} is ${amount}`,
+    },
+    collection: {
+      min: (title, limit) => `Minimum combined quantity for ${title} is ${limit}`,
+      max: (title, limit) => `Maximum combined quantity for ${title} is ${limit}`,
+      step: (title, limit) => `Products from ${title} must be bought in multiples of ${limit}`,
+      valueMin: (title, amount) => `Minimum spend on ${title} is ${amount}`,
+      valueMax: (title, amount) => `Maximum spend on ${title} is ${amount}`,
+    },
+    cart: {
+      min: (title, limit) => `Minimum cart quantity is ${limit} items`,
+      max: (title, limit) => `Maximum cart quantity is ${limit} items`,
+      step: (title, limit) => `Cart quantity must be a multiple of ${limit} items`,
+      valueMin: (title, amount) => `Minimum order value is ${amount}`,
+      valueMax: (title, amount) => `Maximum order value is ${amount}`,
+    },
+  };
+
+  // Store-wide limits on what the cart holds rather than on its units. Lines
+  // without a product or variant ID don't count as a different one.
+  const CART_COUNT_LIMITS = [
+    {
+      type: 'products',
+      minField: 'globalMinProducts',
+      maxField: 'globalMaxProducts',
+      labels: ['different product', 'different products'],
+      count: (lines) => new Set(lines.map((line) => line.productId).filter(Boolean)).size,
+    },
+    {
+      type: 'variants',
+      minField: 'globalMinVariants',
+      maxField: 'globalMaxVariants',
+      labels: ['different variant', 'different variants'],
+      count: (lines) => new Set(lines.map((line) => line.variantId).filter(Boolean)).size,
+    },
+    {
+      type: 'lines',
+      minField: 'globalMinLines',
+      maxField: 'globalMaxLines',
+      labels: ['line item', 'line items'],
+      count: (lines) => lines.length,
+    },
+  ];
+
+  function normalizeId(value) {
+    const rawValue = value?.toString().trim();
+    if (!rawValue) return null;
+    return rawValue.split('/').pop() || null;
+  }
+
+  function defaultFormatMoney(amount) {
+    return amount.toFixed(2);
+  }
+
+  function greatestCommonDivisor(a, b) {
+    return b === 0 ? a : greatestCommonDivisor(b, a % b);
+  }
+
+  function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+  }
+
+  // Trimmed, de-duplicated tags from an array or a comma-separated string.
+  function parseCustomerTags(value) {
+    const tags = Array.isArray(value) ? value : (value || '').toString().split(',');
+    const seen = new Set();
+
+    return tags
+      .map((tag) => tag?.toString().trim())
+      .filter((tag) => {
+        if (!tag || seen.has(tag.toLowerCase())) return false;
+        seen.add(tag.toLowerCase());
+        return true;
+      });
+  }
+
+  function matchesAudience(rule, customer = null) {
+    const loggedIn = Boolean(customer?.loggedIn);
+    const audience = rule.audience || 'all';
+
+    if (audience === 'logged_in' && !loggedIn) return false;
+    if (audience === 'guest' && loggedIn) return false;
+    if (audience === 'b2b' && !customer?.companyId) return false;
+
+    const ruleTags = parseCustomerTags(rule.customerTags).map((tag) => tag.toLowerCase());
+    if (!ruleTags.length) return true;
+
+    const customerTags = parseCustomerTags(customer?.tags).map((tag) => tag.toLowerCase());
+    return ruleTags.some((tag) => customerTags.includes(tag));
+  }
+
+  function hasLimit(value) {
+    return value !== null && value !== undefined && Number(value) > 0;
+  }
+
+  function comparePrecedence(a, b) {
+    const priorityA = Number(a.priority) || 0;
+    const priorityB = Number(b.priority) || 0;
+
+    if (priorityA !== priorityB) return priorityA - priorityB;
+    return (RULE_SPECIFICITY[a.ruleType] ?? 0) - (RULE_SPECIFICITY[b.ruleType] ?? 0);
+  }
+
+  /**
+   * Combines rules that limit the same thing by priority and combination (see
+   * Conflict resolution above). Returns copies of the rules to enforce, with
+   * their limits adjusted, in their original order; rules left without any
+   * limit are dropped.
+   */
+  function resolveRulePrecedence(rules) {
+    const resolved = [];
+    const positions = new Map();
+
+    for (const rule of [...rules].sort(comparePrecedence)) {
+      const combination = rule.combination || 'restrictive';
+      const own = { ...rule };
+      positions.set(own, rules.indexOf(rule));
+
+      for (const field of COMBINED_LIMIT_FIELDS) {
+        if (combination === 'restrictive' || !hasLimit(rule[field])) continue;
+
+        if (combination === 'override') {
+          resolved.forEach((lower) => {
+            lower[field] = null;
+          });
+        } else if (field !== 'stepQuantity') {
+          const lowerRules = resolved.filter((lower) => hasLimit(lower[field]));
+
+          // With nothing below to add to, the rule's own limit applies.
+          if (lowerRules.length) {
+            lowerRules.forEach((lower) => {
+              lower[field] = Number(lower[field]) + Number(rule[field]);
+            });
+            own[field] = null;
+          }
+        }
+      }
+
+      resolved.push(own);
+    }
+
+    return resolved
+      .filter((rule) => COMBINED_LIMIT_FIELDS.some((field) => hasLimit(rule[field])))
+      .sort((a, b) => positions.get(a) - positions.get(b));
+  }
+
+  function isStepViolation(quantity, stepQuantity) {
+    return Boolean(stepQuantity && stepQuantity > 1 && quantity > 0 && quantity % stepQuantity !== 0);
+  }
+
+  // Product and collection rules can limit a sum over cart lines instead of
+  // each line.
+  function isCombinedRule(rule) {
+    return (rule.ruleType === 'product' || rule.ruleType === 'collection') && rule.aggregation === 'combined';
+  }
+
+  // Windows are rolling (the last 24 hours, 7 days, 30 days) rather than
+  // calendar-aligned, so they behave the same in every shop timezone.
+  function purchaseWindowStart(window, now = Date.now()) {
+    if (!PURCHASE_WINDOW_DURATION_MS[window]) return null;
+    return new Date(now - PURCHASE_WINDOW_DURATION_MS[window]);
+  }
+
+  function describePurchaseWindow(window) {
+    if (window === 'day') return 'per day';
+    if (window === 'week') return 'per week';
+    if (window === 'month') return 'per month';
+    return '';
+  }
+
+  // The earliest purchase date any of the given windows looks back to
+  // (null = all history, as soon as one rule is lifetime).
+  function historyStartForWindows(windows, now = Date.now()) {
+    if (windows.includes('lifetime')) return null;
+
+    return windows
+      .map((window) => purchaseWindowStart(window, now))
+      .filter(Boolean)
+      .reduce((earliest, start) => (!earliest || start < earliest ? start : earliest), null);
+  }
+
+  function sumPurchasedQuantity(history, window, matches, now = Date.now()) {
+    const since = purchaseWindowStart(window, now);
+
+    return history
+      .filter((entry) => !since || new Date(entry.purchasedAt) >= since)
+      .filter(matches)
+      .reduce((sum, entry) => sum + entry.quantity, 0);
+  }
+
+  function historyLimitMessage(title, rule, purchased) {
+    const windowLabel = describePurchaseWindow(rule.purchaseWindow);
+    return `${title} is limited to ${rule.maxQuantity} per customer${windowLabel ? ` ${windowLabel}` : ''}. You've already bought ${purchased}.`;
+  }
+
+  function toTimestamp(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const timestamp = new Date(value).getTime();
+    return Number.isFinite(timestamp) ? timestamp : null;
+  }
+
+  // 'upcoming' before startsAt, 'expired' from endsAt on, otherwise 'active'.
+  function ruleScheduleStatus(rule, now = Date.now()) {
+    const startsAt = toTimestamp(rule.startsAt);
+    const endsAt = toTimestamp(rule.endsAt);
+
+    if (startsAt !== null && now < startsAt) return 'upcoming';
+    if (endsAt !== null && now >= endsAt) return 'expired';
+    return 'active';
+  }
+
+  function isRuleActive(rule, now = Date.now()) {
+    return ruleScheduleStatus(rule, now) === 'active';
+  }
+
+  // The next instant after now at which any rule starts or ends (ms), or null.
+  function nextScheduleBoundary(rules, now = Date.now()) {
+    return rules
+      .flatMap((rule) => [toTimestamp(rule.startsAt), toTimestamp(rule.endsAt)])
+      .filter((timestamp) => timestamp !== null && timestamp > now)
+      .reduce((earliest, timestamp) => (earliest === null || timestamp < earliest ? timestamp : earliest), null);
+  }
+
+  function pushToBucket(map, key, value) {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(value);
+  }
+
+  /**
+   * Indexes a shop's enabled rules for evaluation. Callers that evaluate many
+   * carts (the server) should compile once and cache the result, until
+   * nextBoundaryAt at the latest.
+   *
+   * When now is given, rules outside their schedule are left out. Without it
+   * every rule is used as-is (the checkout Function gets a pre-filtered set).
+   */
+  function compilePolicy({
+    rules: allRules = [],
+    settings = null,
+    collections = {},
+    now,
+  } = {}) {
+    const rules = now === undefined ? allRules : allRules.filter((rule) => isRuleActive(rule, now));
+    const productRules = new Map();
+    const variantRules = new Map();
+    const collectionRules = new Map();
+    const productCollections = new Map();
+    const cartRules = [];
+
+    for (const rule of rules) {
+      const targetId = normalizeId(rule.targetId);
+
+      if (rule.ruleType === 'product' && targetId) {
+        pushToBucket(productRules, targetId, rule);
+      } else if (rule.ruleType === 'variant' && targetId) {
+        pushToBucket(variantRules, targetId, rule);
+      } else if (rule.ruleType === 'collection' && targetId) {
+        pushToBucket(collectionRules, targetId, rule);
+      } else if (rule.ruleType === 'cart') {
+        cartRules.push(rule);
+      }
+    }
+
+    for (const [collectionId, productIds] of Object.entries(collections || {})) {
+      for (const productId of productIds) {
+        pushToBucket(productCollections, normalizeId(productId), normalizeId(collectionId));
+      }
+    }
+
+    return {
+      productRules,
+      variantRules,
+      collectionRules,
+      productCollections,
+      cartRules,
+      settings: settings || {},
+      purchaseWindows: Array.from(new Set(rules.map((rule) => rule.purchaseWindow).filter(Boolean))),
+      nextBoundaryAt: now === undefined ? null : nextScheduleBoundary(allRules, now),
+    };
+  }
+
+  // Rules that apply to a single cart line for this customer, in product,
+  // variant, collection order, each rule at most once.
+  function matchLineRules(policy, line, customer = null) {
+    const productId = normalizeId(line.productId);
+    const variantId = normalizeId(line.variantId);
+    const seenRuleIds = new Set();
+    const matches = [];
+    const candidates = [
+      ...(policy.productRules.get(productId) || []),
+      ...(policy.variantRules.get(variantId) || []),
+      ...(policy.productCollections.get(productId) || [])
+        .flatMap((collectionId) => policy.collectionRules.get(collectionId) || []),
+    ];
+
+    for (const rule of candidates) {
+      if (seenRuleIds.has(rule.id) || !matchesAudience(rule, customer)) continue;
+      seenRuleIds.add(rule.id);
+      matches.push(rule);
+    }
+
+    return matches;
+  }
+
+  function checkLimits(scope, rule, subject, options) {
+    const violations = [];
+    const types = VIOLATION_TYPES[scope];
+    const messages = DEFAULT_MESSAGES[scope];
+    const { title, quantity, value, purchased = 0, details = {} } = subject;
+    const formatMoney = options.formatMoney || defaultFormatMoney;
+    const push = (type, limit, current, defaultMessage, extra = {}) => {
+      violations.push({
+        scope,
+        type,
+        ruleId: rule.id ?? null,
+        ...details,
+        ...extra,
+        limit,
+        current,
+        message: rule.message || defaultMessage,
+      });
+    };
+
+    if (isPositiveInteger(rule.minQuantity) && quantity < rule.minQuantity) {
+      push(types.min, rule.minQuantity, quantity, messages.min(title, rule.minQuantity));
+    }
+
+    if (isPositiveInteger(rule.maxQuantity) && purchased > 0 && quantity + purchased > rule.maxQuantity) {
+      push('history_max', rule.maxQuantity, quantity, historyLimitMessage(title || 'This item', rule, purchased), {
+        window: rule.purchaseWindow,
+        purchased,
+      });
+    } else if (isPositiveInteger(rule.maxQuantity) && quantity > rule.maxQuantity) {
+      push(types.max, rule.maxQuantity, quantity, messages.max(title, rule.maxQuantity));
+    }
+
+    if (isStepViolation(quantity, rule.stepQuantity)) {
+      push(types.step, rule.stepQuantity, quantity, messages.step(title, rule.stepQuantity));
+    }
+
+    if (value !== null && value !== undefined) {
+      if (rule.minValue && value < rule.minValue) {
+        push(types.valueMin, rule.minValue, value, messages.valueMin(title, formatMoney(rule.minValue)));
+      }
+
+      if (rule.maxValue && value > rule.maxValue) {
+        push(types.valueMax, rule.maxValue, value, messages.valueMax(title, formatMoney(rule.maxValue)));
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Evaluates a cart against a compiled policy.
+   *
+   * cart    { lines: line[], history?: history[], customer?: customer }
+   * options { now?: number, formatMoney?: (shopAmount) => string }
+   */
+  function evaluateCart(policy, cart, options = {}) {
+    const now = options.now ?? Date.now();
+    const history = cart.history || [];
+    const violations = [];
+    const combinedTotals = new Map();
+    const lines = (cart.lines || []).map((line) => ({
+      ...line,
+      quantity: Number(line.quantity) || 0,
+      value: Number(line.value) || 0,
+      productId: normalizeId(line.productId),
+      variantId: normalizeId(line.variantId),
+    }));
+    const purchasedFor = (rule, matches) => (
+      rule.purchaseWindow && history.length > 0
+        ? sumPurchasedQuantity(history, rule.purchaseWindow, matches, now)
+        : 0
+    );
+
+    for (const [itemIndex, line] of lines.entries()) {
+      const lineRules = matchLineRules(policy, line, cart.customer);
+
+      for (const rule of lineRules.filter(isCombinedRule)) {
+        if (!combinedTotals.has(rule.id)) {
+          combinedTotals.set(rule.id, { rule, quantity: 0, value: 0, itemIndexes: [] });
+        }
+        combinedTotals.get(rule.id).quantity += line.quantity;
+        combinedTotals.get(rule.id).value += line.value;
+        combinedTotals.get(rule.id).itemIndexes.push(itemIndex);
+      }
+
+      for (const rule of resolveRulePrecedence(lineRules.filter((candidate) => !isCombinedRule(candidate)))) {
+        const purchased = purchasedFor(rule, (entry) => (
+          rule.ruleType === 'variant'
+            ? normalizeId(entry.variantId) === line.variantId
+            : normalizeId(entry.productId) === line.productId
+        ));
+
+        violations.push(...checkLimits('item', rule, {
+          title: line.title,
+          quantity: line.quantity,
+          value: line.value,
+          purchased,
+          details: {
+            item: line.title,
+            itemIndex,
+            productId: line.productId,
+            variantId: line.variantId,
+          },
+        }, options));
+      }
+    }
+
+    for (const { rule, quantity, value, itemIndexes } of combinedTotals.values()) {
+      if (rule.ruleType === 'product') {
+        const productId = normalizeId(rule.targetId);
+        const title = rule.targetTitle || lines[itemIndexes[0]].title;
+
+        violations.push(...checkLimits('product', rule, {
+          title,
+          quantity,
+          value,
+          purchased: purchasedFor(rule, (entry) => normalizeId(entry.productId) === productId),
+          details: { item: title, itemIndexes, productId },
+        }, options));
+        continue;
+      }
+
+      const collectionId = normalizeId(rule.targetId);
+      const purchased = purchasedFor(rule, (entry) => (
+        (policy.productCollections.get(normalizeId(entry.productId)) || []).includes(collectionId)
+      ));
+
+      violations.push(...checkLimits('collection', rule, {
+        title: rule.targetTitle || 'this collection',
+        quantity,
+        value,
+        purchased,
+        details: { collectionId: rule.targetId },
+      }, options));
+    }
+
+    const totalQuantity = lines.reduce((sum, line) => sum + line.quantity, 0);
+    const totalValue = lines.reduce((sum, line) => sum + line.value, 0);
+
+    const { settings } = policy;
+
+    // The store-wide settings are the base every cart rule combines with.
+    const cartRules = resolveRulePrecedence([
+      ...policy.cartRules.filter((cartRule) => matchesAudience(cartRule, cart.customer)),
+      {
+        id: null,
+        ruleType: 'settings',
+        priority: -Infinity,
+        minQuantity: settings.globalMinCart,
+        maxQuantity: settings.globalMaxCart,
+        minValue: settings.globalMinCartValue,
+        maxValue: settings.globalMaxCartValue,
+      },
+    ]);
+
+    for (const rule of cartRules) {
+      violations.push(...checkLimits('cart', rule, {
+        title: 'Your order',
+        quantity: totalQuantity,
+        value: totalValue,
+        purchased: purchasedFor(rule, () => true),
+      }, options));
+    }
+
+    for (const { type, minField, maxField, labels, count } of CART_COUNT_LIMITS) {
+      const current = count(lines);
+      const describe = (limit) => `${limit} ${labels[limit === 1 ? 0 : 1]}`;
+      const push = (bound, limit, message) => violations.push({
+        scope: 'cart',
+        type: `cart_${type}_${bound}`,
+        ruleId: null,
+        limit,
+        current,
+        message,
+      });
+
+      if (isPositiveInteger(settings[minField]) && current < settings[minField]) {
+        push('min', settings[minField], `Your order needs at least ${describe(settings[minField])}`);
+      }
+
+      if (isPositiveInteger(settings[maxField]) && current > settings[maxField]) {
+        push('max', settings[maxField], `Your order can have at most ${describe(settings[maxField])}`);
+      }
+    }
+
+    return {
+      valid: violations.length === 0,
+      violations,
+    };
+  }
+
+  /**
+   * Checks a quantity picked on a product page against the rules returned for
+   * that product/variant. Spend limits are skipped (no price on hand) and so is
+   * customer history. Pass options.customer to skip rules for other audiences.
+   */
+  function evaluateProductQuantity(rules, quantity, options = {}) {
+    const violations = [];
+
+    const matching = rules.filter((candidate) => matchesAudience(candidate, options.customer));
+
+    for (const rule of matching.filter(isCombinedRule)) {
+      const isProduct = rule.ruleType === 'product';
+
+      violations.push(...checkLimits(isProduct ? 'product' : 'collection', { maxQuantity: rule.maxQuantity, message: rule.message }, {
+        title: rule.targetTitle || (isProduct ? options.title : 'this collection'),
+        quantity,
+        value: null,
+      }, options));
+    }
+
+    for (const rule of resolveRulePrecedence(matching.filter((candidate) => !isCombinedRule(candidate)))) {
+      violations.push(...checkLimits('item', rule, {
+        title: options.title,
+        quantity,
+        value: null,
+      }, options));
+    }
+
+    return violations;
+  }
+
+  // Effective bounds for a product page, following the conflict policy above.
+  function summarizeProductRules(allRules) {
+    const rules = resolveRulePrecedence(allRules.filter((rule) => !isCombinedRule(rule)));
+    const minValues = rules.map((rule) => rule.minQuantity).filter(isPositiveInteger);
+    const maxValues = rules.map((rule) => rule.maxQuantity).filter(isPositiveInteger);
+    const stepQuantity = rules
+      .map((rule) => rule.stepQuantity)
+      .filter((value) => isPositiveInteger(value) && value > 1)
+      .reduce((lcm, current) => (lcm * current) / greatestCommonDivisor(lcm, current), 1);
+    const messages = rules
+      .map((rule) => rule.message)
+      .filter(Boolean);
+
+    return {
+      hasRules: allRules.length > 0,
+      minQuantity: minValues.length > 0 ? Math.max(...minValues) : null,
+      maxQuantity: maxValues.length > 0 ? Math.min(...maxValues) : null,
+      stepQuantity: stepQuantity > 1 ? stepQuantity : null,
+      message: messages[0] || null,
+    };
+  }
+
+  window.LimitProRules = {
+    RULE_AUDIENCES,
+    RULE_COMBINATIONS,
+    PURCHASE_WINDOW_DURATION_MS,
+    normalizeId,
+    parseCustomerTags,
+    matchesAudience,
+    hasLimit,
+    resolveRulePrecedence,
+    isStepViolation,
+    isCombinedRule,
+    purchaseWindowStart,
+    describePurchaseWindow,
+    historyStartForWindows,
+    sumPurchasedQuantity,
+    ruleScheduleStatus,
+    isRuleActive,
+    nextScheduleBoundary,
+    compilePolicy,
+    matchLineRules,
+    evaluateCart,
+    evaluateProductQuantity,
+    summarizeProductRules,
+  };
+  document.dispatchEvent(new CustomEvent('limitpro:rules-engine-ready'));
+})();
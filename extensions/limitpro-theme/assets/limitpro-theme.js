@@ -70,7 +70,7 @@
   }
 
   function buildApiUrl(base, pathname) {
-    return new URL(pathname, `${base.replace(/\/$/, '')}/`).toString();
+    return new URL(pathname, new URL(`${base.replace(/\/$/, '')}/`, window.location.origin)).toString();
   }
 
   async function fetchJson(url, options) {
@@ -105,8 +105,31 @@
     return currentPrimaryRoot()?.dataset.shop || '';
   }
 
+  // Same-origin app proxy path; Shopify forwards it to the app and signs the
+  // request with the shop and logged-in customer.
   function apiBase() {
-    return currentPrimaryRoot()?.dataset.apiBase || window.location.origin;
+    return currentPrimaryRoot()?.dataset.apiBase || '/apps/limitpro';
+  }
+
+  // Logged-in customer details rendered by the blocks; empty for guests.
+  function customerFields() {
+    const dataset = currentPrimaryRoot()?.dataset || {};
+
+    return {
+      customerId: dataset.customerId || '',
+      customerTags: dataset.customerTags || '',
+      companyId: dataset.companyId || '',
+    };
+  }
+
+  function customerContext() {
+    const fields = customerFields();
+
+    return {
+      loggedIn: Boolean(fields.customerId),
+      tags: fields.customerTags.split(',').map((tag) => tag.trim()).filter(Boolean),
+      companyId: fields.companyId || null,
+    };
   }
 
   function isVisibleElement(element) {
@@ -276,16 +299,18 @@
     return variantInput?.value || root?.dataset.variantId || activeCartRoot?.dataset.variantId || productRoots[0]?.dataset.variantId || null;
   }
 
-  function currentProductQuantity(root = null) {
-    const quantityInput = findProductField(root, productQuantityFieldSelectors, [
+  function productQuantityInput(root = null) {
+    return findProductField(root, productQuantityFieldSelectors, [
       'form[action*="/cart/add"] input[name="quantity"]',
       'form[action*="/cart/add"] .quantity__input',
       'product-form input[name="quantity"]',
       'product-form .quantity__input',
       'input[name="quantity"][form]',
     ]);
+  }
 
-    return Math.max(1, Number(quantityInput?.value) || 1);
+  function currentProductQuantity(root = null) {
+    return Math.max(1, Number(productQuantityInput(root)?.value) || 1);
   }
 
   function scheduleProductWarningRefresh(runImmediately = false) {
@@ -371,35 +396,108 @@
       return productRuleCache;
     }
 
-    const params = new URLSearchParams({
-      shop: shopDomain(),
-      productId,
+    // The app proxy adds the shop and logged-in customer id itself.
+    const { customerTags, companyId } = customerFields();
+    const params = new URLSearchParams({ productId });
+
+    Object.entries({ customerTags, companyId }).forEach(([key, value]) => {
+      if (value) {
+        params.set(key, value);
+      }
     });
 
     if (normalizedVariantId) {
       params.set('variantId', normalizedVariantId);
     }
 
-    const result = await fetchJson(buildApiUrl(apiBase(), `api/storefront/product-rules?${params.toString()}`));
+    const result = await fetchJson(buildApiUrl(apiBase(), `product-rules?${params.toString()}`));
     productRuleCacheKey = cacheKey;
     productRuleCache = Array.isArray(result.rules) ? result.rules : [];
     return productRuleCache;
   }
 
-  function evaluateRuleMessages(rules, quantity) {
-    const messages = [];
+  // Shared with the server and the checkout Function; loaded from
+  // limitpro-rules-engine.js, which is generated from rules-engine.js.
+  function rulesEngine() {
+    return window.LimitProRules || null;
+  }
 
-    for (const rule of rules) {
-      if (rule.minQuantity && quantity < rule.minQuantity) {
-        messages.push(rule.message || `Minimum quantity is ${rule.minQuantity}`);
-      }
+  function productRuleSummary(rules) {
+    const engine = rulesEngine();
+    return engine ? engine.summarizeProductRules(rules) : { stepQuantity: null, maxQuantity: null };
+  }
 
-      if (rule.maxQuantity && quantity > rule.maxQuantity) {
-        messages.push(rule.message || `Maximum quantity is ${rule.maxQuantity}`);
+  // Sets step/min on the quantity input so theme +/- buttons (which call
+  // stepUp/stepDown) move in packs, restoring the theme's own values when the
+  // selected variant has no step rule.
+  function applyQuantityStep(input, step) {
+    if (!input) {
+      return;
+    }
+
+    if (!('limitproOriginalStep' in input.dataset)) {
+      input.dataset.limitproOriginalStep = input.getAttribute('step') || '';
+      input.dataset.limitproOriginalMin = input.getAttribute('min') || '';
+    }
+
+    if (step > 1) {
+      input.setAttribute('step', String(step));
+      input.setAttribute('min', String(step));
+      return;
+    }
+
+    [['step', input.dataset.limitproOriginalStep], ['min', input.dataset.limitproOriginalMin]].forEach(([attribute, value]) => {
+      if (value) {
+        input.setAttribute(attribute, value);
+      } else {
+        input.removeAttribute(attribute);
       }
+    });
+  }
+
+  function snapProductQuantity(input) {
+    const { stepQuantity: step, maxQuantity } = productRuleSummary(productRuleCache);
+    const quantity = Number(input?.value) || 0;
+
+    if (!input || !step || (quantity > 0 && quantity % step === 0)) {
+      return;
+    }
+
+    let snapped = Math.max(step, Math.ceil(quantity / step) * step);
+
+    if (maxQuantity && snapped > maxQuantity) {
+      snapped = Math.max(step, Math.floor(maxQuantity / step) * step);
     }
 
-    return Array.from(new Set(messages));
+    input.value = String(snapped);
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  async function applyProductQuantityStep() {
+    const productId = currentProductId();
+    const input = productQuantityInput();
+
+    if (!productId || !input) {
+      return;
+    }
+
+    try {
+      const rules = await fetchProductRules(productId, currentVariantId() || '');
+      applyQuantityStep(input, productRuleSummary(rules).stepQuantity || 1);
+    } catch (error) {
+      console.error('limitpro quantity step failed:', error);
+    }
+  }
+
+  function evaluateRuleMessages(rules, quantity) {
+    const engine = rulesEngine();
+
+    if (!engine) {
+      return [];
+    }
+
+    const violations = engine.evaluateProductQuantity(rules, quantity, { customer: customerContext() });
+    return Array.from(new Set(violations.map((violation) => violation.message)));
   }
 
   async function renderProductWarnings() {
@@ -571,11 +669,16 @@
     const cartMessages = [];
 
     for (const violation of state.violations || []) {
-      if (Number.isInteger(violation.itemIndex)) {
-        if (!itemMessages.has(violation.itemIndex)) {
-          itemMessages.set(violation.itemIndex, []);
-        }
-        itemMessages.get(violation.itemIndex).push(violation.message);
+      // Combined product limits list every line of the product.
+      const itemIndexes = Array.isArray(violation.itemIndexes) ? violation.itemIndexes : [violation.itemIndex];
+
+      if (itemIndexes.every(Number.isInteger)) {
+        itemIndexes.forEach((itemIndex) => {
+          if (!itemMessages.has(itemIndex)) {
+            itemMessages.set(itemIndex, []);
+          }
+          itemMessages.get(itemIndex).push(violation.message);
+        });
       } else {
         cartMessages.push(violation.message);
       }
@@ -606,17 +709,24 @@
 
     try {
       const cart = await fetchCart();
+      const { customerTags, companyId } = customerFields();
       const payload = {
-        shop: shopDomain(),
+        customerTags,
+        companyId,
+        // Lets analytics tell when a blocked cart is later fixed.
+        cartToken: cart.token,
+        currency: cart.currency,
+        presentmentRate: Number(window.Shopify?.currency?.rate) || 1,
         items: (cart.items || []).map((item) => ({
           title: item.product_title || item.title,
           quantity: item.quantity,
+          line_price: item.final_line_price,
           product_id: item.product_id,
           variant_id: item.variant_id,
         })),
       };
 
-      const result = await fetchJson(buildApiUrl(apiBase(), 'api/validate-cart'), {
+      const result = await fetchJson(buildApiUrl(apiBase(), 'validate-cart'), {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -706,10 +816,12 @@
     document.addEventListener('change', (event) => {
       if (event.target.matches('form[action*="/cart/add"] [name="id"], product-form [name="id"], select[name="id"]')) {
         clearProductRuleCache();
+        applyProductQuantityStep();
         scheduleProductWarningRefresh(true);
       }
 
       if (event.target.matches('form[action*="/cart/add"] input[name="quantity"], form[action*="/cart/add"] .quantity__input, product-form input[name="quantity"], product-form .quantity__input, input[name="quantity"][form]')) {
+        snapProductQuantity(event.target);
         scheduleProductWarningRefresh(true);
       }
     }, true);
@@ -789,6 +901,7 @@
     pendingUiRefresh = true;
     window.requestAnimationFrame(() => {
       pendingUiRefresh = false;
+      applyProductQuantityStep();
       renderProductWarnings();
       renderCartWarnings();
       applyCheckoutState();
@@ -800,8 +913,18 @@
     subtree: true,
   });
 
+  // The engine script is deferred too and can load after this one, leaving
+  // the first render without steps or warnings.
+  if (!rulesEngine()) {
+    document.addEventListener('limitpro:rules-engine-ready', () => {
+      applyProductQuantityStep();
+      renderProductWarnings();
+    }, { once: true });
+  }
+
   initProductListeners();
   initCartListeners();
+  applyProductQuantityStep();
   renderProductWarnings();
   startProductStateWatch();
 })();
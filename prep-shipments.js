@@ -0,0 +1,170 @@
+import prisma from './prisma.js';
+import { loadOrderUnits } from './purchase-history.js';
+import { normalizeId } from './rules-engine.js';
+
+// Shipments move Pending -> Prepped -> Shipped, one step at a time. Shipped
+// shipments are the record of what left and can't be edited or deleted.
+export const PREP_SHIPMENT_STATUSES = ['Pending', 'Prepped', 'Shipped'];
+const MAX_SHIPMENT_ID_LENGTH = 255;
+
+export function normalizePrepShipmentStatus(value) {
+  if (typeof value !== 'string') return null;
+  return PREP_SHIPMENT_STATUSES.find((status) => status.toLowerCase() === value.trim().toLowerCase()) || null;
+}
+
+export function nextPrepShipmentStatus(status) {
+  const index = PREP_SHIPMENT_STATUSES.indexOf(status);
+  return index === -1 ? null : PREP_SHIPMENT_STATUSES[index + 1] || null;
+}
+
+/**
+ * Parses create/update input into { data } or { error }. With partial, only
+ * the fields present are returned, for updates. units may be left out when
+ * orderId is given; the create route fills it from the order.
+ */
+export function parsePrepShipmentInput(input = {}, { partial = false } = {}) {
+  const data = {};
+
+  if (!partial || input.shipmentId !== undefined) {
+    const shipmentId = typeof input.shipmentId === 'string' ? input.shipmentId.trim() : '';
+
+    if (!shipmentId || shipmentId.length > MAX_SHIPMENT_ID_LENGTH) {
+      return { error: 'Shipment ID is required (up to 255 characters)' };
+    }
+
+    data.shipmentId = shipmentId;
+  }
+
+  if (input.orderId !== undefined) {
+    data.orderId = normalizeId(input.orderId);
+  }
+
+  if (input.units !== undefined && input.units !== null && input.units !== '') {
+    const units = Number(input.units);
+
+    if (!Number.isInteger(units) || units < 1) {
+      return { error: 'Units must be a whole number of at least 1' };
+    }
+
+    data.units = units;
+  } else if (!partial && !data.orderId) {
+    return { error: 'Units are required unless the shipment is linked to an order' };
+  }
+
+  return { data };
+}
+
+export function findPrepShipment(shopId, id) {
+  return prisma.prepShipment.findFirst({
+    where: { id, shopOrigin: shopId },
+  });
+}
+
+// Adds orderUnits: what the linked order counted toward purchase limits, or
+// null when it has no order or nothing was recorded for it.
+async function withOrderUnits(shopId, shipments) {
+  const orderUnits = await loadOrderUnits(shopId, shipments.map((shipment) => shipment.orderId));
+
+  return shipments.map((shipment) => ({
+    ...shipment,
+    orderUnits: shipment.orderId ? orderUnits[shipment.orderId] ?? null : null,
+  }));
+}
+
+export async function listPrepShipments(shopId, { status = null, search = '' } = {}) {
+  const query = typeof search === 'string' ? search.trim() : '';
+  const [shipments, totals] = await Promise.all([
+    prisma.prepShipment.findMany({
+      where: {
+        shopOrigin: shopId,
+        ...(status ? { status } : {}),
+        ...(query
+          ? {
+            OR: [
+              { shipmentId: { contains: query, mode: 'insensitive' } },
+              { orderId: normalizeId(query) },
+            ],
+          }
+          : {}),
+      },
+      orderBy: { createdAt: 'desc' },
+    }),
+    prisma.prepShipment.groupBy({
+      by: ['status'],
+      where: { shopOrigin: shopId },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const counts = Object.fromEntries(PREP_SHIPMENT_STATUSES.map((value) => [value, 0]));
+  totals.forEach((total) => {
+    counts[total.status] = total._count._all;
+  });
+
+  return {
+    shipments: await withOrderUnits(shopId, shipments),
+    counts,
+  };
+}
+
+export async function createPrepShipment(shopId, data) {
+  let { units } = data;
+
+  if (units === undefined) {
+    units = (await loadOrderUnits(shopId, [data.orderId]))[data.orderId];
+
+    if (!units) {
+      return { error: 'No units are recorded for that order; enter the units yourself' };
+    }
+  }
+
+  const shipment = await prisma.prepShipment.create({
+    data: {
+      shipmentId: data.shipmentId,
+      units,
+      orderId: data.orderId ?? null,
+      shopOrigin: shopId,
+    },
+  });
+
+  return { shipment: (await withOrderUnits(shopId, [shipment]))[0] };
+}
+
+export async function updatePrepShipment(shopId, id, data) {
+  const { count } = await prisma.prepShipment.updateMany({
+    where: { id, shopOrigin: shopId, status: { not: 'Shipped' } },
+    data,
+  });
+
+  if (!count) return null;
+
+  return (await withOrderUnits(shopId, [await findPrepShipment(shopId, id)]))[0];
+}
+
+/**
+ * Moves a shipment from one status to the next. The update only matches
+ * while the shipment is still in the status the caller saw, so two people
+ * advancing it at once can't skip a step. Returns null when it had moved on.
+ */
+export async function transitionPrepShipment(shopId, id, from, to) {
+  if (nextPrepShipmentStatus(from) !== to) {
+    return null;
+  }
+
+  const { count } = await prisma.prepShipment.updateMany({
+    where: { id, shopOrigin: shopId, status: from },
+    data: { status: to },
+  });
+
+  if (!count) return null;
+
+  return (await withOrderUnits(shopId, [await findPrepShipment(shopId, id)]))[0];
+}
+
+export async function deletePrepShipment(shopId, id) {
+  const { count } = await prisma.prepShipment.deleteMany({
+    where: { id, shopOrigin: shopId, status: { not: 'Shipped' } },
+  });
+
+  return count > 0;
+}
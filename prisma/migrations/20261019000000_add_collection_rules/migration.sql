@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "Rule" ADD COLUMN "aggregation" TEXT NOT NULL DEFAULT 'per_item';
+
+-- CreateTable
+CREATE TABLE "CollectionProduct" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "collectionId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "syncedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CollectionProduct_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CollectionProduct_shopId_collectionId_productId_key" ON "CollectionProduct"("shopId", "collectionId", "productId");
+
+-- CreateIndex
+CREATE INDEX "CollectionProduct_shopId_productId_idx" ON "CollectionProduct"("shopId", "productId");
+
+-- AddForeignKey
+ALTER TABLE "CollectionProduct" ADD CONSTRAINT "CollectionProduct_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
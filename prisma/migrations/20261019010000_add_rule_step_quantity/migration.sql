@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Rule" ADD COLUMN "stepQuantity" INTEGER;
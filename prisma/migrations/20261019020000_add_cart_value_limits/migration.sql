@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN "currencyCode" TEXT;
+
+-- AlterTable
+ALTER TABLE "Rule" ADD COLUMN "minValue" DECIMAL(12,2),
+ADD COLUMN "maxValue" DECIMAL(12,2);
+
+-- AlterTable
+ALTER TABLE "Settings" ADD COLUMN "globalMinCartValue" DECIMAL(12,2),
+ADD COLUMN "globalMaxCartValue" DECIMAL(12,2);
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "Rule" ADD COLUMN "purchaseWindow" TEXT;
+
+-- CreateTable
+CREATE TABLE "PurchaseHistory" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "lineItemId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT,
+    "quantity" INTEGER NOT NULL,
+    "purchasedAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PurchaseHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PurchaseHistory_shopId_orderId_lineItemId_key" ON "PurchaseHistory"("shopId", "orderId", "lineItemId");
+
+-- CreateIndex
+CREATE INDEX "PurchaseHistory_shopId_customerId_purchasedAt_idx" ON "PurchaseHistory"("shopId", "customerId", "purchasedAt");
+
+-- AddForeignKey
+ALTER TABLE "PurchaseHistory" ADD CONSTRAINT "PurchaseHistory_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
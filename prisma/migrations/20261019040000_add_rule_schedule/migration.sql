@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN "ianaTimezone" TEXT;
+
+-- AlterTable
+ALTER TABLE "Rule" ADD COLUMN "startsAt" TIMESTAMP(3),
+ADD COLUMN "endsAt" TIMESTAMP(3);
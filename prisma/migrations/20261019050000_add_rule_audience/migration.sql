@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Rule" ADD COLUMN "audience" TEXT NOT NULL DEFAULT 'all',
+ADD COLUMN "customerTags" TEXT[] DEFAULT ARRAY[]::TEXT[];
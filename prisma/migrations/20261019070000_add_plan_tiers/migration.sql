@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN "plan" TEXT NOT NULL DEFAULT 'free';
+
+-- AlterTable
+ALTER TABLE "Rule" ADD COLUMN "disabledReason" TEXT;
+
+-- Shops already paying for the single plan keep its features as Pro.
+UPDATE "Shop" SET "plan" = 'pro' WHERE "subscriptionStatus" = 'ACTIVE';
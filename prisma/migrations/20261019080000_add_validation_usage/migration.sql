@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN "usageLineItemId" TEXT,
+ADD COLUMN "currentPeriodEnd" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "ValidationUsage" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "periodStart" TIMESTAMP(3) NOT NULL,
+    "periodEnd" TIMESTAMP(3) NOT NULL,
+    "validations" INTEGER NOT NULL DEFAULT 0,
+    "billedBlocks" INTEGER NOT NULL DEFAULT 0,
+    "billedAmount" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ValidationUsage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ValidationUsage_shopId_periodStart_key" ON "ValidationUsage"("shopId", "periodStart");
+
+-- AddForeignKey
+ALTER TABLE "ValidationUsage" ADD CONSTRAINT "ValidationUsage_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "PrepShipment" ADD COLUMN "order_id" TEXT;
+
+-- CreateIndex
+CREATE INDEX "PrepShipment_shop_origin_order_id_idx" ON "PrepShipment"("shop_origin", "order_id");
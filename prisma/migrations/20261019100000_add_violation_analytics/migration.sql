@@ -0,0 +1,48 @@
+-- CreateTable
+CREATE TABLE "CartViolation" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "cartKey" TEXT NOT NULL,
+    "cartValue" DECIMAL(12,2) NOT NULL,
+    "firstSeenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastSeenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "resolvedAt" TIMESTAMP(3),
+
+    CONSTRAINT "CartViolation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ViolationEvent" (
+    "id" TEXT NOT NULL,
+    "cartViolationId" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "eventKey" TEXT NOT NULL,
+    "ruleId" TEXT,
+    "type" TEXT NOT NULL,
+    "productId" TEXT,
+    "variantId" TEXT,
+    "title" TEXT,
+    "hits" INTEGER NOT NULL DEFAULT 1,
+    "firstSeenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastSeenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ViolationEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CartViolation_shopId_cartKey_key" ON "CartViolation"("shopId", "cartKey");
+
+-- CreateIndex
+CREATE INDEX "CartViolation_shopId_firstSeenAt_idx" ON "CartViolation"("shopId", "firstSeenAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ViolationEvent_cartViolationId_eventKey_key" ON "ViolationEvent"("cartViolationId", "eventKey");
+
+-- CreateIndex
+CREATE INDEX "ViolationEvent_shopId_lastSeenAt_idx" ON "ViolationEvent"("shopId", "lastSeenAt");
+
+-- AddForeignKey
+ALTER TABLE "CartViolation" ADD CONSTRAINT "CartViolation_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ViolationEvent" ADD CONSTRAINT "ViolationEvent_cartViolationId_fkey" FOREIGN KEY ("cartViolationId") REFERENCES "CartViolation"("id") ON DELETE CASCADE ON UPDATE CASCADE;
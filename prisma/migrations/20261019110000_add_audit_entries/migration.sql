@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "AuditEntry" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "entity" TEXT NOT NULL,
+    "ruleId" TEXT,
+    "action" TEXT NOT NULL,
+    "source" TEXT,
+    "actorType" TEXT NOT NULL,
+    "actorId" TEXT,
+    "before" JSONB,
+    "after" JSONB,
+    "revertedFromId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AuditEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AuditEntry_shopId_createdAt_idx" ON "AuditEntry"("shopId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AuditEntry_shopId_ruleId_createdAt_idx" ON "AuditEntry"("shopId", "ruleId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "AuditEntry" ADD CONSTRAINT "AuditEntry_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Rule" ADD COLUMN "priority" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "combination" TEXT NOT NULL DEFAULT 'restrictive';
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Settings" ADD COLUMN "globalMinProducts" INTEGER,
+ADD COLUMN "globalMaxProducts" INTEGER,
+ADD COLUMN "globalMinVariants" INTEGER,
+ADD COLUMN "globalMaxVariants" INTEGER,
+ADD COLUMN "globalMinLines" INTEGER,
+ADD COLUMN "globalMaxLines" INTEGER;
@@ -0,0 +1,86 @@
+import prisma from './prisma.js';
+import { PURCHASE_WINDOW_DURATION_MS } from './rules-engine.js';
+
+export const PURCHASE_WINDOWS = [...Object.keys(PURCHASE_WINDOW_DURATION_MS), 'lifetime'];
+
+// Stores one row per order line for orders placed by a known customer.
+// Guest orders are skipped because there is nothing to key them on.
+export async function recordOrder(shopId, order) {
+  const customerId = order?.customer?.id?.toString();
+  const orderId = order?.id?.toString();
+
+  if (!customerId || !orderId) {
+    return 0;
+  }
+
+  const purchasedAt = order.created_at ? new Date(order.created_at) : new Date();
+  const rows = (order.line_items || [])
+    .filter((lineItem) => lineItem.product_id && Number(lineItem.quantity) > 0)
+    .map((lineItem) => ({
+      shopId,
+      customerId,
+      orderId,
+      lineItemId: lineItem.id.toString(),
+      productId: lineItem.product_id.toString(),
+      variantId: lineItem.variant_id?.toString() || null,
+      quantity: Number(lineItem.quantity),
+      purchasedAt,
+    }));
+
+  if (!rows.length) {
+    return 0;
+  }
+
+  const result = await prisma.purchaseHistory.createMany({
+    data: rows,
+    skipDuplicates: true,
+  });
+
+  return result.count;
+}
+
+export async function removeOrder(shopId, orderId) {
+  if (!orderId) return;
+
+  await prisma.purchaseHistory.deleteMany({
+    where: { shopId, orderId: orderId.toString() },
+  });
+}
+
+export async function loadCustomerHistory(shopId, customerId, since = null) {
+  if (!customerId) {
+    return [];
+  }
+
+  return prisma.purchaseHistory.findMany({
+    where: {
+      shopId,
+      customerId: customerId.toString(),
+      ...(since ? { purchasedAt: { gte: since } } : {}),
+    },
+    select: {
+      productId: true,
+      variantId: true,
+      quantity: true,
+      purchasedAt: true,
+    },
+  });
+}
+
+// Units each order contributed toward purchase limits: { orderId: units }.
+// Orders with nothing recorded (guest orders, or since cancelled) are left out.
+export async function loadOrderUnits(shopId, orderIds) {
+  const ids = [...new Set(orderIds.filter(Boolean).map((id) => id.toString()))];
+
+  if (!ids.length) {
+    return {};
+  }
+
+  const totals = await prisma.purchaseHistory.groupBy({
+    by: ['orderId'],
+    where: { shopId, orderId: { in: ids } },
+    _sum: { quantity: true },
+  });
+
+  return Object.fromEntries(totals.map((total) => [total.orderId, total._sum.quantity || 0]));
+}
@@ -0,0 +1,218 @@
+import prisma from './prisma.js';
+import { runAdminQuery } from './shopify.js';
+import { checkRulesEntitlement } from './billing.js';
+import { parseRuleInput } from './rule-fields.js';
+import { recordAuditEntries, ruleAuditEntries } from './audit-log.js';
+import { normalizeId } from './rules-engine.js';
+
+// Bulk actions on many rules at once. Each action is one transaction, audit
+// entries included, so callers invalidate the policy cache once per batch.
+export const BULK_RULE_ACTIONS = ['enable', 'disable', 'delete', 'edit'];
+export const MAX_BULK_RULES = 500;
+const MAX_BULK_CREATE_PRODUCTS = 250;
+// What a bulk edit can change, and what a bulk create copies to every rule.
+const BULK_EDIT_FIELDS = ['minQuantity', 'maxQuantity', 'stepQuantity', 'minValue', 'maxValue', 'message', 'priority', 'combination'];
+const BULK_CREATE_FIELDS = [...BULK_EDIT_FIELDS, 'purchaseWindow', 'audience', 'customerTags', 'startsAt', 'endsAt'];
+
+const MATCHING_PRODUCTS_QUERY = `
+  query LimitProMatchingProducts($query: String!, $after: String) {
+    products(first: 100, after: $after, query: $query, sortKey: TITLE) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      nodes {
+        id
+        title
+      }
+    }
+  }
+`;
+
+function pickFields(input, fields) {
+  return Object.fromEntries(fields.filter((field) => input?.[field] !== undefined).map((field) => [field, input[field]]));
+}
+
+// Updates the rules and records each one's before and after.
+async function updateRules(shopId, actor, rules, data) {
+  return prisma.$transaction(async (tx) => {
+    const where = { shopId, id: { in: rules.map((rule) => rule.id) } };
+    const { count } = await tx.rule.updateMany({ where, data });
+    const updated = await tx.rule.findMany({ where });
+    const before = new Map(rules.map((rule) => [rule.id, rule]));
+
+    await recordAuditEntries(tx, ruleAuditEntries(
+      shopId,
+      actor,
+      updated.map((rule) => [before.get(rule.id), rule]),
+      { source: 'bulk' }
+    ));
+
+    return { count };
+  });
+}
+
+/**
+ * Enables, disables, deletes or edits the given rules of a shop on behalf of
+ * actor (see requireAdminSession). Returns
+ * { count } or { error, status } with upgradeRequired for plan limits and
+ * errors (per rule) when an edit would leave rules invalid. Nothing is
+ * written unless every rule passes.
+ */
+export async function applyBulkRuleAction(shopId, action, ids, changes = {}, actor) {
+  const ruleIds = [...new Set(ids)];
+  const rules = await prisma.rule.findMany({ where: { shopId, id: { in: ruleIds } } });
+
+  if (rules.length !== ruleIds.length) {
+    return { error: 'Some of the selected rules no longer exist', status: 404 };
+  }
+
+  if (action === 'delete') {
+    return prisma.$transaction(async (tx) => {
+      const { count } = await tx.rule.deleteMany({ where: { shopId, id: { in: ruleIds } } });
+      await recordAuditEntries(tx, ruleAuditEntries(shopId, actor, rules.map((rule) => [rule, null]), { source: 'bulk' }));
+      return { count };
+    });
+  }
+
+  if (action === 'disable') {
+    return updateRules(shopId, actor, rules, { enabled: false, disabledReason: null });
+  }
+
+  if (action === 'enable') {
+    const entitlementError = await checkRulesEntitlement(
+      shopId,
+      rules.map((rule) => ({ ...rule, enabled: true })),
+      { excludeRuleIds: ruleIds }
+    );
+
+    if (entitlementError) {
+      return { error: entitlementError, status: 403, upgradeRequired: true };
+    }
+
+    return updateRules(shopId, actor, rules, { enabled: true, disabledReason: null });
+  }
+
+  const edit = pickFields(changes, BULK_EDIT_FIELDS);
+
+  if (!Object.keys(edit).length) {
+    return { error: 'Nothing to change', status: 400 };
+  }
+
+  // Every rule gets the same data; only whether it leaves a rule valid (say,
+  // a new minimum above a rule's own maximum) differs per rule.
+  let data = null;
+  const errors = [];
+
+  for (const rule of rules) {
+    const result = parseRuleInput(edit, { existing: rule });
+    data = result.data;
+    result.errors.forEach((error) => errors.push({ id: rule.id, targetTitle: rule.targetTitle, ...error }));
+  }
+
+  if (errors.length) {
+    return {
+      error: `${new Set(errors.map((error) => error.id)).size} of the selected rules can't take this change`,
+      status: 400,
+      errors,
+    };
+  }
+
+  return updateRules(shopId, actor, rules, data);
+}
+
+// Every product matching an Admin API product search, up to the bulk create
+// limit. hasMore is set when the search matched more than that.
+export async function findMatchingProducts(session, query) {
+  const products = [];
+  let after = null;
+
+  while (products.length <= MAX_BULK_CREATE_PRODUCTS) {
+    const data = await runAdminQuery(session, MATCHING_PRODUCTS_QUERY, { query, after });
+    const page = data.products;
+
+    products.push(...(page?.nodes || []).map((product) => ({
+      id: normalizeId(product.id),
+      title: product.title,
+    })));
+
+    if (!page?.pageInfo?.hasNextPage) break;
+    after = page.pageInfo.endCursor;
+  }
+
+  return {
+    products: products.slice(0, MAX_BULK_CREATE_PRODUCTS),
+    hasMore: products.length > MAX_BULK_CREATE_PRODUCTS,
+  };
+}
+
+/**
+ * Creates the same product rule for every product matching a search.
+ * Products that already have a product rule are skipped rather than given a
+ * second one. With dryRun, returns what would be created without writing.
+ * The rules are recorded in the audit log as made by actor.
+ * Returns { products, skipped, count } or { error, status }.
+ */
+export async function createRulesForSearch(shopId, session, { query, template = {}, timezone = 'UTC', dryRun = false, actor }) {
+  const search = typeof query === 'string' ? query.trim() : '';
+
+  if (search.length < 2) {
+    return { error: 'Enter a product search of at least 2 characters', status: 400 };
+  }
+
+  // Validated once up front; only the target differs per product.
+  const { data: rule, errors } = parseRuleInput(
+    { ...pickFields(template, BULK_CREATE_FIELDS), ruleType: 'product', targetId: 'search' },
+    { timezone }
+  );
+
+  if (errors.length) {
+    return { error: errors[0].message, status: 400, errors };
+  }
+
+  const { products, hasMore } = await findMatchingProducts(session, search);
+
+  if (hasMore) {
+    return {
+      error: `More than ${MAX_BULK_CREATE_PRODUCTS} products match. Narrow the search and run it in parts.`,
+      status: 400,
+    };
+  }
+
+  const existing = await prisma.rule.findMany({
+    where: { shopId, ruleType: 'product', targetId: { in: products.map((product) => product.id) } },
+    select: { targetId: true },
+  });
+  const existingTargets = new Set(existing.map((entry) => entry.targetId));
+  const toCreate = products.filter((product) => !existingTargets.has(product.id));
+  const skipped = products.filter((product) => existingTargets.has(product.id));
+
+  const rules = toCreate.map((product) => ({
+    ...rule,
+    shopId,
+    targetId: product.id,
+    targetTitle: product.title,
+  }));
+  const entitlementError = await checkRulesEntitlement(shopId, rules);
+
+  if (entitlementError) {
+    return { error: entitlementError, status: 403, upgradeRequired: true };
+  }
+
+  if (dryRun || !rules.length) {
+    return { products: toCreate, skipped, count: 0 };
+  }
+
+  const created = await prisma.$transaction(async (tx) => {
+    const createdRules = await tx.rule.createManyAndReturn({ data: rules });
+    await recordAuditEntries(tx, ruleAuditEntries(
+      shopId,
+      actor,
+      createdRules.map((rule) => [null, rule]),
+      { source: 'bulk_create' }
+    ));
+    return createdRules;
+  });
+
+  return { products: toCreate, skipped, count: created.length };
+}
@@ -0,0 +1,238 @@
+import prisma from './prisma.js';
+import { runAdminQuery } from './shopify.js';
+import { loadCollectionMembership } from './collections.js';
+import { hasLimit, isCombinedRule, normalizeId, resolveRulePrecedence, ruleScheduleStatus } from './rules-engine.js';
+
+// Conflict analysis for a rule about to be saved: limits that can never all
+// be met together, like a variant minimum of 5 under a product maximum of 3,
+// or an item minimum above the cart maximum. These are warnings, not errors;
+// the merchant may mean it (e.g. to stop a product selling for a while).
+const VARIANT_PRODUCTS_QUERY = `
+  query LimitProVariantProducts($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        product {
+          id
+        }
+      }
+    }
+  }
+`;
+const VARIANT_LOOKUP_BATCH_SIZE = 250;
+
+function describeTarget(rule) {
+  return rule.ruleType === 'cart' ? 'the whole cart' : `${rule.ruleType} "${rule.targetTitle || rule.targetId}"`;
+}
+
+function describeRule(rule) {
+  if (rule.isSettings) return 'the store-wide cart limit';
+  if (rule.ruleType === 'cart') return 'the cart-wide rule';
+  return describeTarget(rule);
+}
+
+// Per-line rules limit each cart line on its own; combined product and
+// collection rules and cart rules limit a sum over lines.
+function isPerLine(rule) {
+  return rule.ruleType !== 'cart' && !isCombinedRule(rule);
+}
+
+// Rules that limit the same line, or both the cart total, are combined by
+// priority before they're enforced; others always apply side by side.
+function combinedByPrecedence(a, b) {
+  return (isPerLine(a) && isPerLine(b)) || (a.ruleType === 'cart' && b.ruleType === 'cart');
+}
+
+function audiencesOverlap(a, b) {
+  const audiences = new Set([a.audience || 'all', b.audience || 'all']);
+  return !(audiences.has('logged_in') && audiences.has('guest'));
+}
+
+function schedulesOverlap(a, b) {
+  const start = Math.max(a.startsAt ? new Date(a.startsAt).getTime() : -Infinity, b.startsAt ? new Date(b.startsAt).getTime() : -Infinity);
+  const end = Math.min(a.endsAt ? new Date(a.endsAt).getTime() : Infinity, b.endsAt ? new Date(b.endsAt).getTime() : Infinity);
+  return start < end;
+}
+
+// 'same' when both rules target the same thing, true when every line the
+// narrow rule limits is also limited by the broad one.
+function covers(broad, narrow, { variantProducts, collections }) {
+  if (narrow.ruleType === 'cart') return broad.ruleType === 'cart' ? 'same' : false;
+  if (broad.ruleType === 'cart') return true;
+  if (broad.ruleType === narrow.ruleType) return broad.targetId === narrow.targetId ? 'same' : false;
+
+  const productId = narrow.ruleType === 'variant' ? variantProducts[narrow.targetId] : narrow.targetId;
+
+  if (broad.ruleType === 'product') {
+    return narrow.ruleType === 'variant' && Boolean(productId) && productId === broad.targetId;
+  }
+
+  if (broad.ruleType === 'collection') {
+    return Boolean(productId) && (collections[broad.targetId] || []).includes(productId);
+  }
+
+  return false;
+}
+
+function rangeConflicts(broad, narrow, relation) {
+  const conflicts = [];
+  const checks = [
+    ['minQuantity', 'maxQuantity', (value) => `${value}`],
+    ['minValue', 'maxValue', (value) => Number(value).toFixed(2)],
+  ];
+
+  for (const [minField, maxField, format] of checks) {
+    // The narrow quantity is part of the broad one, so a narrow minimum above
+    // the broad maximum can never be met.
+    if (hasLimit(narrow[minField]) && hasLimit(broad[maxField]) && Number(narrow[minField]) > Number(broad[maxField])) {
+      conflicts.push(`${describeRule(narrow)} needs at least ${format(narrow[minField])} but ${describeRule(broad)} allows at most ${format(broad[maxField])}`);
+    }
+
+    // When both limit the same line, the reverse is impossible too.
+    if ((relation === 'same' || isPerLine(broad))
+      && hasLimit(broad[minField]) && hasLimit(narrow[maxField]) && Number(broad[minField]) > Number(narrow[maxField])) {
+      conflicts.push(`${describeRule(broad)} needs at least ${format(broad[minField])} but ${describeRule(narrow)} allows at most ${format(narrow[maxField])}`);
+    }
+  }
+
+  return conflicts;
+}
+
+// Settings that need at least that many items in the cart, since each
+// product, variant or line item counts at least one.
+const CART_COUNT_MINIMUMS = [
+  ['globalMinProducts', 'different products'],
+  ['globalMinVariants', 'different variants'],
+  ['globalMinLines', 'line items'],
+];
+
+// Count minimums the cart rules' maximum quantity leaves no room for. The
+// counts aren't subject to rule precedence, so only the cart rules' own
+// maximums (as left by precedence) are compared.
+function cartCountConflicts(settings, cartRules) {
+  const limiting = cartRules
+    .filter((entry) => !entry.isSettings && hasLimit(entry.maxQuantity))
+    .sort((a, b) => Number(a.maxQuantity) - Number(b.maxQuantity))[0];
+
+  if (!limiting) return [];
+
+  return CART_COUNT_MINIMUMS
+    .filter(([field]) => hasLimit(settings[field]) && Number(settings[field]) > Number(limiting.maxQuantity))
+    .map(([field, label]) => `the store-wide cart limit needs at least ${settings[field]} ${label} but ${describeRule(limiting)} allows at most ${limiting.maxQuantity} items`);
+}
+
+/**
+ * Returns warnings for how rule conflicts with the other rules (and the cart
+ * settings, as a cart-wide rule, including their minimum numbers of
+ * products, variants and lines). Disabled and expired rules, and rules that
+ * can't apply at the same time as this one (disjoint audiences or schedules),
+ * are ignored. variantProducts maps variant IDs to product IDs and
+ * collections collection IDs to product IDs; relations missing from them are
+ * treated as unrelated.
+ */
+export function findRuleConflicts(rule, rules, { settings = null, variantProducts = {}, collections = {} } = {}) {
+  const relations = { variantProducts, collections };
+  const others = rules.filter((other) => other.id !== rule.id && other.enabled
+    && ruleScheduleStatus(other) !== 'expired');
+
+  if (settings) {
+    others.push({
+      id: null,
+      isSettings: true,
+      ruleType: 'cart',
+      priority: -Infinity,
+      minQuantity: settings.globalMinCart,
+      maxQuantity: settings.globalMaxCart,
+      minValue: settings.globalMinCartValue,
+      maxValue: settings.globalMaxCartValue,
+    });
+  }
+
+  const warnings = [];
+
+  for (const other of others) {
+    if (!audiencesOverlap(rule, other) || !schedulesOverlap(rule, other)) continue;
+
+    let broad = other;
+    let narrow = rule;
+    let relation = covers(other, rule, relations);
+
+    if (!relation) {
+      broad = rule;
+      narrow = other;
+      relation = covers(rule, other, relations);
+    }
+
+    if (!relation) continue;
+
+    // Compare the limits left after an override or additive rule has
+    // adjusted the other one; a rule left with no limits can't conflict.
+    const resolved = combinedByPrecedence(broad, narrow) ? resolveRulePrecedence([broad, narrow]) : [broad, narrow];
+    const messages = resolved.length === 2 ? rangeConflicts(resolved[0], resolved[1], relation) : [];
+
+    if (other.isSettings && relation === 'same') {
+      messages.push(...cartCountConflicts(settings, resolved));
+    }
+
+    if (relation === 'same' && !other.isSettings) {
+      const combined = [rule, other].some((entry) => (entry.combination || 'restrictive') !== 'restrictive');
+      messages.unshift(`There is already a rule for ${describeTarget(other)}; ${combined ? 'they combine by priority' : 'both will apply'}`);
+    }
+
+    messages.forEach((message) => warnings.push({
+      ruleId: other.id,
+      targetTitle: other.isSettings ? 'Cart settings' : other.targetTitle,
+      message: message.charAt(0).toUpperCase() + message.slice(1),
+    }));
+  }
+
+  return warnings;
+}
+
+async function loadVariantProducts(session, variantIds) {
+  const ids = [...new Set(variantIds.filter(Boolean))];
+  const variantProducts = {};
+
+  if (!session || !ids.length) {
+    return variantProducts;
+  }
+
+  for (let index = 0; index < ids.length; index += VARIANT_LOOKUP_BATCH_SIZE) {
+    const data = await runAdminQuery(session, VARIANT_PRODUCTS_QUERY, {
+      ids: ids.slice(index, index + VARIANT_LOOKUP_BATCH_SIZE).map((id) => `gid://shopify/ProductVariant/${id}`),
+    });
+
+    for (const node of data.nodes || []) {
+      if (node?.product) {
+        variantProducts[normalizeId(node.id)] = normalizeId(node.product.id);
+      }
+    }
+  }
+
+  return variantProducts;
+}
+
+/**
+ * Loads the shop's rules, settings and the product relations needed to check
+ * rule, then runs findRuleConflicts. Variant parents come from the Admin API
+ * (skipped without a session), collection membership from the cache.
+ */
+export async function analyzeRuleConflicts(shopId, session, rule) {
+  const [rules, settings] = await Promise.all([
+    prisma.rule.findMany({ where: { shopId, enabled: true } }),
+    prisma.settings.findUnique({ where: { shopId } }),
+  ]);
+  const involved = [rule, ...rules];
+  const [variantProducts, collections] = await Promise.all([
+    // Without variant parents the check only misses variant conflicts, so a
+    // failed lookup shouldn't stop the save.
+    loadVariantProducts(session, involved.filter((entry) => entry.ruleType === 'variant').map((entry) => entry.targetId))
+      .catch((error) => {
+        console.error(`Error loading variant products for ${shopId}:`, error);
+        return {};
+      }),
+    loadCollectionMembership(shopId, involved.filter((entry) => entry.ruleType === 'collection').map((entry) => entry.targetId)),
+  ]);
+
+  return findRuleConflicts(rule, rules, { settings, variantProducts, collections });
+}
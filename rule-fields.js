@@ -0,0 +1,346 @@
+import { normalizeId, parseCustomerTags, RULE_AUDIENCES, RULE_COMBINATIONS } from './rules-engine.js';
+import { PURCHASE_WINDOWS } from './purchase-history.js';
+
+// Parsing and normalisation of rule and settings fields, shared by the rule
+// routes, bulk actions and rule import.
+export const RULE_TYPES = ['product', 'variant', 'collection', 'cart'];
+
+export function parseMoneyInput(value) {
+  const amount = Number(value);
+  return value !== null && value !== '' && Number.isFinite(amount) && amount > 0
+    ? Math.round(amount * 100) / 100
+    : null;
+}
+
+// Prisma returns Decimal columns as Decimal instances; policy evaluation,
+// export and comparison work in plain numbers.
+export function toMoneyNumber(value) {
+  if (value === null || value === undefined) return null;
+  const amount = Number(value);
+  return Number.isFinite(amount) ? amount : null;
+}
+
+// Offset of timeZone from UTC at the given instant, in ms.
+function timeZoneOffsetMs(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date).map((part) => [part.type, part.value]));
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+  return wallClock - (date.getTime() - date.getMilliseconds());
+}
+
+// Schedule inputs come from datetime-local fields ("2026-11-27T09:00"), which
+// are wall-clock times in the shop's timezone. Values with an explicit offset
+// or Z are taken as-is. Returns undefined for invalid input.
+export function parseScheduleInput(value, timeZone) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const rawValue = value.toString().trim();
+  const match = rawValue.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/);
+
+  if (!match) {
+    const date = new Date(rawValue);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  }
+
+  const [, year, month, day, hour, minute, second = '0'] = match.map((part) => part && Number(part));
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  const zone = timeZone || 'UTC';
+  let instant = wallClock - timeZoneOffsetMs(new Date(wallClock), zone);
+
+  // Second pass picks up a DST change between the guess and the real instant.
+  instant = wallClock - timeZoneOffsetMs(new Date(instant), zone);
+
+  return new Date(instant);
+}
+
+export function validateSchedule({ startsAt, endsAt }) {
+  if (startsAt === undefined || endsAt === undefined) {
+    return 'Invalid schedule date';
+  }
+
+  if (startsAt && endsAt && endsAt <= startsAt) {
+    return 'Schedule end must be after its start';
+  }
+
+  return null;
+}
+
+export function normalizeAggregation(value) {
+  return value === 'combined' ? 'combined' : 'per_item';
+}
+
+export function normalizeAudience(value) {
+  return RULE_AUDIENCES.includes(value) ? value : 'all';
+}
+
+// ===== SCHEMA VALIDATION =====
+// Parsers push { field, message } onto errors and return the parsed value, so
+// one pass reports every problem with a request instead of the first.
+
+const FIELD_LABELS = {
+  ruleType: 'Rule type',
+  targetId: 'Target',
+  minQuantity: 'Minimum quantity',
+  maxQuantity: 'Maximum quantity',
+  stepQuantity: 'Quantity multiple',
+  minValue: 'Minimum spend',
+  maxValue: 'Maximum spend',
+  aggregation: 'Counting',
+  purchaseWindow: 'Purchase window',
+  startsAt: 'Schedule start',
+  endsAt: 'Schedule end',
+  audience: 'Audience',
+  priority: 'Priority',
+  combination: 'Combination',
+  enabled: 'Enabled',
+  message: 'Message',
+  globalMinCart: 'Minimum items per order',
+  globalMaxCart: 'Maximum items per order',
+  globalMinCartValue: 'Minimum order value',
+  globalMaxCartValue: 'Maximum order value',
+  globalMinProducts: 'Minimum different products per order',
+  globalMaxProducts: 'Maximum different products per order',
+  globalMinVariants: 'Minimum different variants per order',
+  globalMaxVariants: 'Maximum different variants per order',
+  globalMinLines: 'Minimum line items per order',
+  globalMaxLines: 'Maximum line items per order',
+  showCartWarning: 'Show cart warnings',
+  blockCheckout: 'Block checkout',
+  customMessageEnabled: 'Custom messages',
+};
+const LIMIT_FIELDS = ['minQuantity', 'maxQuantity', 'stepQuantity', 'minValue', 'maxValue'];
+const AGGREGATIONS = ['per_item', 'combined'];
+// Rule types that can count their lines combined.
+const AGGREGATED_RULE_TYPES = ['product', 'collection'];
+export const SETTINGS_FIELDS = [
+  'globalMinCart',
+  'globalMaxCart',
+  'globalMinCartValue',
+  'globalMaxCartValue',
+  'globalMinProducts',
+  'globalMaxProducts',
+  'globalMinVariants',
+  'globalMaxVariants',
+  'globalMinLines',
+  'globalMaxLines',
+  'showCartWarning',
+  'blockCheckout',
+  'customMessageEnabled',
+];
+const MAX_MESSAGE_LENGTH = 500;
+export const MAX_RULE_PRIORITY = 1000;
+// Minimum and maximum settings for different products, different variants
+// and line items per order.
+const CART_COUNT_FIELDS = [
+  ['globalMinProducts', 'globalMaxProducts'],
+  ['globalMinVariants', 'globalMaxVariants'],
+  ['globalMinLines', 'globalMaxLines'],
+];
+
+export function isBlank(value) {
+  return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+function fieldError(errors, field, problem) {
+  errors.push({ field, message: `${FIELD_LABELS[field] || field} ${problem}` });
+}
+
+// Blank is null (no limit). "0" is 0, not null.
+export function parseIntegerField(value, field, errors, { min = 0, max = Infinity } = {}) {
+  if (isBlank(value)) return null;
+
+  const number = Number(value);
+
+  if (!Number.isInteger(number) || number < min || number > max) {
+    fieldError(errors, field, max === Infinity
+      ? `must be a whole number of at least ${min}`
+      : `must be a whole number from ${min} to ${max}`);
+    return null;
+  }
+
+  return number;
+}
+
+export function parseMoneyField(value, field, errors) {
+  if (isBlank(value)) return null;
+
+  const amount = parseMoneyInput(value);
+
+  if (amount === null) {
+    fieldError(errors, field, 'must be an amount greater than 0');
+  }
+
+  return amount;
+}
+
+export function parseBooleanField(value, field, errors, fallback) {
+  if (isBlank(value)) return fallback;
+  if (typeof value === 'boolean') return value;
+
+  const normalized = value.toString().trim().toLowerCase();
+
+  if (['true', 'yes', '1'].includes(normalized)) return true;
+  if (['false', 'no', '0'].includes(normalized)) return false;
+
+  fieldError(errors, field, 'must be true or false');
+  return fallback;
+}
+
+export function checkLimitRange(min, max, minField, errors) {
+  if (min !== null && min !== undefined && max !== null && max !== undefined && Number(min) > Number(max)) {
+    fieldError(errors, minField, 'must not be greater than the maximum');
+  }
+}
+
+/**
+ * Validates rule input for create (existing null) or update (existing is the
+ * saved rule). On update only the fields present in input are changed, and
+ * the type, target, counting and purchase window can't be. Returns
+ * { data, rule, errors }: data is what to write, rule the rule as it will be
+ * saved, and errors the field-level problems (empty when valid).
+ */
+export function parseRuleInput(input = {}, { timezone = 'UTC', existing = null } = {}) {
+  const errors = [];
+  const data = {};
+  const isSet = (field) => !existing || input[field] !== undefined;
+
+  if (!existing) {
+    const ruleType = typeof input.ruleType === 'string' ? input.ruleType.trim().toLowerCase() : '';
+
+    if (!RULE_TYPES.includes(ruleType)) {
+      fieldError(errors, 'ruleType', `must be one of ${RULE_TYPES.join(', ')}`);
+    }
+
+    data.ruleType = ruleType;
+    data.targetId = ruleType === 'cart' ? null : normalizeId(input.targetId);
+    data.targetTitle = ruleType === 'cart' || isBlank(input.targetTitle) ? null : input.targetTitle.toString().trim();
+
+    if (RULE_TYPES.includes(ruleType) && ruleType !== 'cart' && !data.targetId) {
+      fieldError(errors, 'targetId', `is required for ${ruleType} rules`);
+    }
+
+    if (!isBlank(input.aggregation) && !AGGREGATIONS.includes(input.aggregation)) {
+      fieldError(errors, 'aggregation', `must be one of ${AGGREGATIONS.join(', ')}`);
+    }
+
+    data.aggregation = AGGREGATED_RULE_TYPES.includes(ruleType) ? normalizeAggregation(input.aggregation) : 'per_item';
+    data.purchaseWindow = isBlank(input.purchaseWindow) ? null : input.purchaseWindow.toString().trim();
+
+    if (data.purchaseWindow && !PURCHASE_WINDOWS.includes(data.purchaseWindow)) {
+      fieldError(errors, 'purchaseWindow', `must be one of ${PURCHASE_WINDOWS.join(', ')}`);
+    }
+  }
+
+  if (isSet('minQuantity')) data.minQuantity = parseIntegerField(input.minQuantity, 'minQuantity', errors);
+  // 0 would read as "no maximum" in the engine, so it's refused rather than
+  // silently ignored.
+  if (isSet('maxQuantity')) data.maxQuantity = parseIntegerField(input.maxQuantity, 'maxQuantity', errors, { min: 1 });
+  if (isSet('stepQuantity')) data.stepQuantity = parseIntegerField(input.stepQuantity, 'stepQuantity', errors, { min: 1 });
+  if (isSet('minValue')) data.minValue = parseMoneyField(input.minValue, 'minValue', errors);
+  if (isSet('maxValue')) data.maxValue = parseMoneyField(input.maxValue, 'maxValue', errors);
+
+  if (isSet('startsAt') || isSet('endsAt')) {
+    const schedule = {
+      startsAt: existing && input.startsAt === undefined ? existing.startsAt : parseScheduleInput(input.startsAt, timezone),
+      endsAt: existing && input.endsAt === undefined ? existing.endsAt : parseScheduleInput(input.endsAt, timezone),
+    };
+
+    if (schedule.startsAt === undefined) {
+      fieldError(errors, 'startsAt', 'is not a valid date');
+    } else if (schedule.endsAt === undefined) {
+      fieldError(errors, 'endsAt', 'is not a valid date');
+    } else if (validateSchedule(schedule)) {
+      fieldError(errors, 'endsAt', 'must be after the schedule start');
+    }
+
+    data.startsAt = schedule.startsAt || null;
+    data.endsAt = schedule.endsAt || null;
+  }
+
+  if (isSet('audience')) {
+    const audience = isBlank(input.audience) ? 'all' : input.audience.toString().trim();
+
+    if (!RULE_AUDIENCES.includes(audience)) {
+      fieldError(errors, 'audience', `must be one of ${RULE_AUDIENCES.join(', ')}`);
+    }
+
+    data.audience = normalizeAudience(audience);
+  }
+
+  if (isSet('customerTags')) data.customerTags = parseCustomerTags(input.customerTags);
+
+  if (isSet('priority')) {
+    data.priority = parseIntegerField(input.priority, 'priority', errors, { max: MAX_RULE_PRIORITY }) ?? 0;
+  }
+
+  if (isSet('combination')) {
+    const combination = isBlank(input.combination) ? 'restrictive' : input.combination.toString().trim();
+
+    if (!RULE_COMBINATIONS.includes(combination)) {
+      fieldError(errors, 'combination', `must be one of ${RULE_COMBINATIONS.join(', ')}`);
+    }
+
+    data.combination = RULE_COMBINATIONS.includes(combination) ? combination : 'restrictive';
+  }
+  if (isSet('enabled')) data.enabled = parseBooleanField(input.enabled, 'enabled', errors, existing?.enabled ?? true);
+
+  if (isSet('message')) {
+    data.message = isBlank(input.message) ? null : input.message.toString().trim();
+
+    if (data.message && data.message.length > MAX_MESSAGE_LENGTH) {
+      fieldError(errors, 'message', `must be at most ${MAX_MESSAGE_LENGTH} characters`);
+    }
+  }
+
+  const rule = { ...(existing || {}), ...data };
+  checkLimitRange(rule.minQuantity, rule.maxQuantity, 'minQuantity', errors);
+  checkLimitRange(rule.minValue, rule.maxValue, 'minValue', errors);
+
+  if (LIMIT_FIELDS.some(isSet) && !LIMIT_FIELDS.some((field) => Number(rule[field]) > 0)) {
+    errors.push({ field: 'maxQuantity', message: 'Set at least one quantity or spend limit' });
+  }
+
+  return { data, rule, errors };
+}
+
+// Validates cart settings. With partial, only the fields present in input are
+// returned, so a write leaves the others alone; otherwise every field is.
+// Minimums and maximums left out are checked against existing, the saved
+// settings. Returns { data, errors }.
+export function parseSettingsInput(input = {}, { partial = false, existing = null } = {}) {
+  const errors = [];
+  const data = {};
+  const isSet = (field) => !partial || input[field] !== undefined;
+
+  if (isSet('globalMinCart')) data.globalMinCart = parseIntegerField(input.globalMinCart, 'globalMinCart', errors);
+  if (isSet('globalMaxCart')) data.globalMaxCart = parseIntegerField(input.globalMaxCart, 'globalMaxCart', errors, { min: 1 });
+  if (isSet('globalMinCartValue')) data.globalMinCartValue = parseMoneyField(input.globalMinCartValue, 'globalMinCartValue', errors);
+  if (isSet('globalMaxCartValue')) data.globalMaxCartValue = parseMoneyField(input.globalMaxCartValue, 'globalMaxCartValue', errors);
+
+  for (const [minField, maxField] of CART_COUNT_FIELDS) {
+    if (isSet(minField)) data[minField] = parseIntegerField(input[minField], minField, errors);
+    if (isSet(maxField)) data[maxField] = parseIntegerField(input[maxField], maxField, errors, { min: 1 });
+  }
+
+  for (const field of ['showCartWarning', 'blockCheckout', 'customMessageEnabled']) {
+    if (!isBlank(input[field])) {
+      data[field] = parseBooleanField(input[field], field, errors, undefined);
+    }
+  }
+
+  const settings = { ...(existing || {}), ...data };
+  checkLimitRange(settings.globalMinCart, settings.globalMaxCart, 'globalMinCart', errors);
+  checkLimitRange(settings.globalMinCartValue, settings.globalMaxCartValue, 'globalMinCartValue', errors);
+  CART_COUNT_FIELDS.forEach(([minField, maxField]) => checkLimitRange(settings[minField], settings[maxField], minField, errors));
+
+  return { data, errors };
+}
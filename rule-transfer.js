@@ -0,0 +1,496 @@
+import { runAdminQuery } from './shopify.js';
+import prisma from './prisma.js';
+import { getShopPlan, PLANS, ruleEntitlementError } from './billing.js';
+import { isBlank, parseRuleInput, parseSettingsInput, SETTINGS_FIELDS, toMoneyNumber } from './rule-fields.js';
+import { recordAuditEntries, ruleAuditEntries, settingsAuditEntries } from './audit-log.js';
+import { normalizeId } from './rules-engine.js';
+
+// Rule and settings export/import. JSON is the full document; CSV has one
+// row per rule plus one row per setting (record "setting", with the setting
+// and value columns), so a single file round-trips through a spreadsheet.
+const EXPORT_VERSION = 1;
+const TARGET_LOOKUP_BATCH_SIZE = 250;
+
+export const RULE_FIELDS = [
+  'id',
+  'ruleType',
+  'targetId',
+  'targetTitle',
+  'minQuantity',
+  'maxQuantity',
+  'stepQuantity',
+  'minValue',
+  'maxValue',
+  'aggregation',
+  'purchaseWindow',
+  'startsAt',
+  'endsAt',
+  'audience',
+  'customerTags',
+  'priority',
+  'combination',
+  'enabled',
+  'message',
+];
+const CSV_COLUMNS = ['record', ...RULE_FIELDS, 'setting', 'value'];
+// Fields compared to decide whether an imported rule changes a saved one.
+const COMPARED_RULE_FIELDS = RULE_FIELDS.filter((field) => field !== 'id');
+// Fields a saved rule keeps for life, as in the rule editor. An import row
+// that changes one is an error; the rule has to be deleted and recreated.
+const FIXED_RULE_FIELDS = ['ruleType', 'targetId', 'aggregation', 'purchaseWindow'];
+
+const TARGET_NODE_TYPES = {
+  product: 'Product',
+  variant: 'ProductVariant',
+  collection: 'Collection',
+};
+
+const TARGET_NODES_QUERY = `
+  query LimitProImportTargets($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      __typename
+      id
+      ... on Product {
+        title
+      }
+      ... on ProductVariant {
+        displayName
+      }
+      ... on Collection {
+        title
+      }
+    }
+  }
+`;
+
+// Plain values for export and comparison: numbers for decimals, ISO strings
+// for dates.
+function exportRule(rule) {
+  return {
+    id: rule.id,
+    ruleType: rule.ruleType,
+    targetId: rule.targetId,
+    targetTitle: rule.targetTitle,
+    minQuantity: rule.minQuantity,
+    maxQuantity: rule.maxQuantity,
+    stepQuantity: rule.stepQuantity,
+    minValue: toMoneyNumber(rule.minValue),
+    maxValue: toMoneyNumber(rule.maxValue),
+    aggregation: rule.aggregation,
+    purchaseWindow: rule.purchaseWindow,
+    startsAt: rule.startsAt ? new Date(rule.startsAt).toISOString() : null,
+    endsAt: rule.endsAt ? new Date(rule.endsAt).toISOString() : null,
+    audience: rule.audience,
+    customerTags: rule.customerTags || [],
+    priority: rule.priority ?? 0,
+    combination: rule.combination || 'restrictive',
+    enabled: rule.enabled,
+    message: rule.message,
+  };
+}
+
+function exportSettings(settings) {
+  return {
+    globalMinCart: settings?.globalMinCart ?? null,
+    globalMaxCart: settings?.globalMaxCart ?? null,
+    globalMinCartValue: toMoneyNumber(settings?.globalMinCartValue),
+    globalMaxCartValue: toMoneyNumber(settings?.globalMaxCartValue),
+    globalMinProducts: settings?.globalMinProducts ?? null,
+    globalMaxProducts: settings?.globalMaxProducts ?? null,
+    globalMinVariants: settings?.globalMinVariants ?? null,
+    globalMaxVariants: settings?.globalMaxVariants ?? null,
+    globalMinLines: settings?.globalMinLines ?? null,
+    globalMaxLines: settings?.globalMaxLines ?? null,
+    showCartWarning: settings?.showCartWarning ?? true,
+    blockCheckout: settings?.blockCheckout ?? true,
+    customMessageEnabled: settings?.customMessageEnabled ?? false,
+  };
+}
+
+export async function exportShopRules(shopId) {
+  const [rules, settings] = await Promise.all([
+    prisma.rule.findMany({
+      where: { shopId },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.settings.findUnique({ where: { shopId } }),
+  ]);
+
+  return {
+    version: EXPORT_VERSION,
+    shop: shopId,
+    exportedAt: new Date().toISOString(),
+    settings: exportSettings(settings),
+    rules: rules.map(exportRule),
+  };
+}
+
+// ===== CSV =====
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = Array.isArray(value) ? value.join(', ') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(exportData) {
+  const lines = [CSV_COLUMNS.join(',')];
+
+  for (const rule of exportData.rules) {
+    lines.push(CSV_COLUMNS.map((column) => (column === 'record' ? 'rule' : csvCell(rule[column]))).join(','));
+  }
+
+  for (const field of SETTINGS_FIELDS) {
+    const row = { record: 'setting', setting: field, value: exportData.settings[field] };
+    lines.push(CSV_COLUMNS.map((column) => csvCell(row[column])).join(','));
+  }
+
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// RFC 4180: quoted fields may contain commas, doubled quotes and newlines.
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^﻿/, '');
+
+  for (let index = 0; index < input.length; index += 1) {
+    const char = input[index];
+
+    if (inQuotes) {
+      if (char === '"' && input[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') index += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+}
+
+// ===== IMPORT =====
+
+/**
+ * Reads an uploaded file into { rules: [{ row, values }], settings } or
+ * { error }. row is the CSV line (header = 1) or the 1-based index in the
+ * JSON rules array, for error messages. settings is null when the file has
+ * none, which leaves the shop's settings alone.
+ */
+export function parseImportFile(format, content) {
+  if (format === 'json') {
+    let data = content;
+
+    try {
+      data = typeof content === 'string' ? JSON.parse(content) : content;
+    } catch (error) {
+      return { error: 'The file is not valid JSON' };
+    }
+
+    if (!data || !Array.isArray(data.rules)) {
+      return { error: 'The JSON file must have a "rules" array' };
+    }
+
+    return {
+      rules: data.rules.map((values, index) => ({ row: index + 1, values: values || {} })),
+      settings: data.settings && typeof data.settings === 'object' ? data.settings : null,
+    };
+  }
+
+  if (format !== 'csv' || typeof content !== 'string') {
+    return { error: 'Upload a CSV or JSON export' };
+  }
+
+  const [header, ...rows] = parseCsvRows(content);
+  const columns = (header || []).map((column) => column.trim());
+
+  if (!columns.includes('ruleType')) {
+    return { error: 'The CSV file needs a header row with at least a ruleType column' };
+  }
+
+  const rules = [];
+  let settings = null;
+
+  rows.forEach((cells, index) => {
+    const values = Object.fromEntries(columns.map((column, cellIndex) => [column, cells[cellIndex] ?? '']));
+
+    if ((values.record || 'rule').trim().toLowerCase() === 'setting') {
+      settings = settings || {};
+      settings[values.setting?.trim()] = values.value;
+      return;
+    }
+
+    rules.push({ row: index + 2, values });
+  });
+
+  return { rules, settings };
+}
+
+function parseImportedSettings(values, existing) {
+  const { data, errors } = parseSettingsInput(values, { partial: true, existing });
+
+  Object.keys(values)
+    .filter((field) => !SETTINGS_FIELDS.includes(field))
+    .forEach((field) => errors.push({ field, message: `${field} is not a setting` }));
+
+  return { settings: data, errors };
+}
+
+// Looks every target up in the Admin API, so a typo'd or deleted product is
+// reported before anything is saved. Returns { 'product:123': title }.
+async function resolveTargets(session, rules) {
+  const gids = [...new Set(rules
+    .filter((rule) => TARGET_NODE_TYPES[rule.ruleType] && rule.targetId)
+    .map((rule) => `gid://shopify/${TARGET_NODE_TYPES[rule.ruleType]}/${rule.targetId}`))];
+  const titles = {};
+
+  for (let index = 0; index < gids.length; index += TARGET_LOOKUP_BATCH_SIZE) {
+    const data = await runAdminQuery(session, TARGET_NODES_QUERY, {
+      ids: gids.slice(index, index + TARGET_LOOKUP_BATCH_SIZE),
+    });
+
+    for (const node of data.nodes || []) {
+      if (!node) continue;
+
+      const ruleType = Object.keys(TARGET_NODE_TYPES).find((type) => TARGET_NODE_TYPES[type] === node.__typename);
+      titles[`${ruleType}:${normalizeId(node.id)}`] = node.title || node.displayName || null;
+    }
+  }
+
+  return titles;
+}
+
+function changedFields(existing, rule) {
+  const before = exportRule(existing);
+  const after = exportRule(rule);
+
+  return COMPARED_RULE_FIELDS.filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+}
+
+/**
+ * Pairs parsed import rows ({ row, id, rule }) with saved rules: by id, or
+ * else by rule type and target when exactly one saved rule has them. A row
+ * that would change the type, target, counting or purchase window of the rule
+ * it matches is an error. Returns { errors, creates, updates, deletes,
+ * unchanged, matchedIds }; deletes is only filled in "replace" mode.
+ */
+export function matchImportRows(existingRules, rows, mode = 'merge') {
+  const errors = [];
+  const byId = new Map(existingRules.map((rule) => [rule.id, rule]));
+  const byTarget = new Map();
+  existingRules.forEach((rule) => {
+    const key = `${rule.ruleType}:${rule.targetId || ''}`;
+    byTarget.set(key, byTarget.has(key) ? null : rule);
+  });
+
+  const matchedIds = new Set();
+  const creates = [];
+  const updates = [];
+  let unchanged = 0;
+
+  for (const entry of rows) {
+    const existing = (entry.id && byId.get(entry.id))
+      || byTarget.get(`${entry.rule.ruleType}:${entry.rule.targetId || ''}`)
+      || null;
+
+    if (existing && !matchedIds.has(existing.id)) {
+      matchedIds.add(existing.id);
+      const fields = changedFields(existing, entry.rule);
+      const fixedFields = fields.filter((field) => FIXED_RULE_FIELDS.includes(field));
+
+      if (fixedFields.length) {
+        fixedFields.forEach((field) => errors.push({
+          row: entry.row,
+          field,
+          message: `Can't change ${field} of saved rule ${existing.id}; delete that rule first to import this row as a new one`,
+        }));
+      } else if (fields.length) {
+        updates.push({ row: entry.row, id: existing.id, rule: entry.rule, fields });
+      } else {
+        unchanged += 1;
+      }
+    } else {
+      creates.push({ row: entry.row, rule: entry.rule });
+    }
+  }
+
+  const deletes = mode === 'replace'
+    ? existingRules.filter((rule) => !matchedIds.has(rule.id))
+    : [];
+
+  return { errors, creates, updates, deletes, unchanged, matchedIds };
+}
+
+/**
+ * Validates an import and works out what it would change. mode "merge"
+ * creates and updates; "replace" also deletes saved rules the file doesn't
+ * mention; see matchImportRows for how rows pair with saved rules.
+ *
+ * Returns { errors, diff, changes }: errors are per row and field; diff is
+ * what the dashboard shows; changes is the input for applyRuleImport.
+ */
+export async function planRuleImport(shopId, session, parsed, { mode = 'merge', timezone = 'UTC' } = {}) {
+  const errors = [];
+  const rows = parsed.rules.map(({ row, values }) => {
+    const { rule, errors: rowErrors } = parseRuleInput(values, { timezone });
+    rowErrors.forEach((error) => errors.push({ row, ...error }));
+    return { row, id: isBlank(values.id) ? null : values.id.toString().trim(), rule, valid: !rowErrors.length };
+  });
+
+  const validRows = rows.filter((entry) => entry.valid);
+  const titles = await resolveTargets(session, validRows.map((entry) => entry.rule));
+
+  for (const entry of validRows) {
+    const { rule } = entry;
+    if (rule.ruleType === 'cart') continue;
+
+    const key = `${rule.ruleType}:${rule.targetId}`;
+
+    if (!(key in titles)) {
+      entry.valid = false;
+      errors.push({ row: entry.row, field: 'targetId', message: `No ${rule.ruleType} with ID ${rule.targetId} in this store` });
+    } else if (!rule.targetTitle) {
+      rule.targetTitle = titles[key];
+    }
+  }
+
+  const [existingRules, existingSettings, plan] = await Promise.all([
+    prisma.rule.findMany({ where: { shopId }, orderBy: { createdAt: 'asc' } }),
+    prisma.settings.findUnique({ where: { shopId } }),
+    getShopPlan(shopId),
+  ]);
+
+  let settings = null;
+
+  if (parsed.settings) {
+    const result = parseImportedSettings(parsed.settings, existingSettings);
+    result.errors.forEach((error) => errors.push({ row: 'settings', ...error }));
+    settings = result.settings;
+  }
+
+  for (const entry of rows) {
+    const entitlementError = entry.valid && entry.rule.enabled ? ruleEntitlementError(plan, entry.rule) : null;
+
+    if (entitlementError) {
+      errors.push({ row: entry.row, field: 'ruleType', message: entitlementError });
+    }
+  }
+
+  const matched = matchImportRows(existingRules, rows, mode);
+  const { creates, updates, deletes, matchedIds } = matched;
+  errors.push(...matched.errors);
+
+  const { maxActiveRules, name } = PLANS[plan];
+  const enabledAfter = existingRules.filter((rule) => rule.enabled && !matchedIds.has(rule.id)
+    && !deletes.includes(rule)).length
+    + rows.filter((entry) => entry.rule.enabled).length;
+
+  if (maxActiveRules !== null && enabledAfter > maxActiveRules) {
+    errors.push({
+      row: null,
+      field: 'enabled',
+      message: `The ${name} plan allows ${maxActiveRules} active rules; this import would leave ${enabledAfter}`,
+    });
+  }
+
+  const currentSettings = exportSettings(existingSettings);
+  const settingChanges = settings
+    ? Object.keys(settings).filter((field) => JSON.stringify(settings[field]) !== JSON.stringify(currentSettings[field]))
+    : [];
+
+  return {
+    errors,
+    diff: {
+      creates: creates.map(({ row, rule }) => ({ row, ruleType: rule.ruleType, targetId: rule.targetId, targetTitle: rule.targetTitle })),
+      updates: updates.map(({ row, id, rule, fields }) => ({ row, id, ruleType: rule.ruleType, targetId: rule.targetId, targetTitle: rule.targetTitle, fields })),
+      deletes: deletes.map((rule) => ({ id: rule.id, ruleType: rule.ruleType, targetId: rule.targetId, targetTitle: rule.targetTitle })),
+      unchanged: matched.unchanged,
+      settings: settingChanges.map((field) => ({ field, from: currentSettings[field], to: settings[field] })),
+    },
+    changes: {
+      creates: creates.map(({ rule }) => rule),
+      updates: updates.map(({ id, rule }) => ({ id, rule })),
+      deletes: deletes.map((rule) => rule.id),
+      settings: settingChanges.length
+        ? Object.fromEntries(settingChanges.map((field) => [field, settings[field]]))
+        : null,
+    },
+  };
+}
+
+// Applies a planned import in one transaction: either every change lands or
+// none does. Each change is recorded in the audit log as made by actor.
+export async function applyRuleImport(shopId, changes, actor) {
+  await prisma.$transaction(async (tx) => {
+    const existing = await tx.rule.findMany({
+      where: { shopId, id: { in: [...changes.deletes, ...changes.updates.map((update) => update.id)] } },
+    });
+    const existingById = new Map(existing.map((rule) => [rule.id, rule]));
+    const audited = [];
+
+    if (changes.deletes.length) {
+      await tx.rule.deleteMany({ where: { shopId, id: { in: changes.deletes } } });
+      changes.deletes.forEach((id) => audited.push([existingById.get(id), null]));
+    }
+
+    for (const { id, rule } of changes.updates) {
+      const updated = await tx.rule.update({
+        where: { id },
+        data: { ...rule, disabledReason: null },
+      });
+      audited.push([existingById.get(id), updated]);
+    }
+
+    if (changes.creates.length) {
+      const created = await tx.rule.createManyAndReturn({
+        data: changes.creates.map((rule) => ({ ...rule, shopId })),
+      });
+      created.forEach((rule) => audited.push([null, rule]));
+    }
+
+    const entries = ruleAuditEntries(shopId, actor, audited, { source: 'import' });
+
+    if (changes.settings) {
+      const before = await tx.settings.findUnique({ where: { shopId } });
+      const settings = await tx.settings.upsert({
+        where: { shopId },
+        update: changes.settings,
+        create: { shopId, ...changes.settings },
+      });
+      entries.push(...settingsAuditEntries(shopId, actor, before, settings, { source: 'import' }));
+    }
+
+    await recordAuditEntries(tx, entries);
+  });
+
+  return {
+    created: changes.creates.length,
+    updated: changes.updates.length,
+    deleted: changes.deletes.length,
+    settingsUpdated: Boolean(changes.settings),
+  };
+}
@@ -0,0 +1,39 @@
+// Bundles rules-engine.js into a theme asset. Theme app extensions serve
+// plain scripts, so the module's exports are exposed as window.LimitProRules,
+// followed by a limitpro:rules-engine-ready event for scripts that ran first.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const sourcePath = path.join(__dirname, '..', 'rules-engine.js');
+const outputPath = path.join(__dirname, '..', 'extensions', 'limitpro-theme', 'assets', 'limitpro-rules-engine.js');
+
+const source = fs.readFileSync(sourcePath, 'utf8');
+const exportedNames = Array.from(source.matchAll(/^export (?:async function|function|const|let) (\w+)/gm))
+  .map((match) => match[1]);
+
+if (!exportedNames.length) {
+  throw new Error(`No exports found in ${sourcePath}`);
+}
+
+const body = source
+  .replace(/^export /gm, '')
+  .trimEnd()
+  .split('\n')
+  .map((line) => (line ? `  ${line}` : line))
+  .join('\n');
+
+const output = `// Generated from rules-engine.js by scripts/build-rules-engine.js. Do not edit.
+(function () {
+${body}
+
+  window.LimitProRules = {
+${exportedNames.map((name) => `    ${name},`).join('\n')}
+  };
+  document.dispatchEvent(new CustomEvent('limitpro:rules-engine-ready'));
+})();
+`;
+
+fs.writeFileSync(outputPath, output);
+console.log(`Wrote ${path.relative(process.cwd(), outputPath)} (${exportedNames.length} exports)`);
@@ -1,24 +1,119 @@
 import 'dotenv/config';
-import crypto from 'crypto';
 import express from 'express';
-import { PrismaClient } from '@prisma/client';
-import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { Session } from '@shopify/shopify-api';
-import shopify from './shopify.js';
+import shopify, { getOfflineSession, runAdminQuery, sanitizeShop } from './shopify.js';
+import prisma from './prisma.js';
+import {
+  isTrackedCollection,
+  listProductCollectionIds,
+  loadCollectionMembership,
+  removeCollection,
+  removeProduct,
+  syncCollectionProducts,
+  syncProductCollections,
+} from './collections.js';
+import { syncCheckoutPolicy } from './checkout-validation.js';
+import { APP_PROXY_PATH, requireAppProxy } from './app-proxy.js';
+import { handleWebhook, registerWebhookHandler, webhookRawBody } from './webhooks.js';
+import {
+  findComplianceRequest,
+  handleCustomerDataRequest,
+  handleCustomerRedact,
+  listComplianceRequests,
+} from './compliance.js';
+import { eraseShopData } from './shop-erasure.js';
+import { parseRuleInput, parseSettingsInput, toMoneyNumber } from './rule-fields.js';
+import { analyzeRuleConflicts } from './rule-conflicts.js';
+import {
+  findRuleVersion,
+  listAuditEntries,
+  recordAuditEntries,
+  revertRule,
+  ruleAuditEntries,
+  settingsAuditEntries,
+} from './audit-log.js';
+import { flushValidationUsage, getUsageSummary, recordValidation } from './usage-metering.js';
+import {
+  ANALYTICS_PERIODS,
+  flushViolationEvents,
+  getViolationAnalytics,
+  recordCartOutcome,
+} from './violation-analytics.js';
+import {
+  createPrepShipment,
+  deletePrepShipment,
+  findPrepShipment,
+  listPrepShipments,
+  normalizePrepShipmentStatus,
+  parsePrepShipmentInput,
+  transitionPrepShipment,
+  updatePrepShipment,
+} from './prep-shipments.js';
+import {
+  applyRuleImport,
+  exportShopRules,
+  parseImportFile,
+  planRuleImport,
+  toCsv,
+} from './rule-transfer.js';
+import {
+  applyBulkRuleAction,
+  BULK_RULE_ACTIONS,
+  createRulesForSearch,
+  MAX_BULK_RULES,
+} from './rule-bulk.js';
+import {
+  applyPlanLimits,
+  BILLING_CALLBACK_PATH,
+  cancelSubscription,
+  checkRuleEntitlement,
+  checkSubscriptionStatus,
+  createRecurringCharge,
+  DEFAULT_PLAN,
+  getBillingStatus,
+  handleSubscriptionUpdate,
+  PLANS,
+  requireFeature,
+} from './billing.js';
+import {
+  clearAdminSessionCookie,
+  requireAdminSession,
+  resolveAdminShop,
+  setAdminSessionCookie,
+} from './admin-session.js';
+import {
+  loadCustomerHistory,
+  recordOrder,
+  removeOrder,
+} from './purchase-history.js';
+import {
+  compilePolicy,
+  evaluateCart,
+  historyStartForWindows,
+  isRuleActive,
+  matchesAudience,
+  parseCustomerTags,
+  ruleScheduleStatus,
+  summarizeProductRules,
+} from './rules-engine.js';
 
-const prisma = new PrismaClient();
 const app = express();
 const PORT = process.env.PORT || 3000;
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const SHOP_POLICY_CACHE_TTL_MS = Number(process.env.SHOP_POLICY_CACHE_TTL_MS || 15000);
+const CHECKOUT_POLICY_SYNC_DELAY_MS = Number(process.env.CHECKOUT_POLICY_SYNC_DELAY_MS || 2000);
+// setTimeout fires immediately for delays above 2^31 - 1 ms (~24.8 days).
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
 const SHOPIFY_CALLBACK_PATH = '/api/auth/callback';
+const SHOPIFY_ONLINE_CALLBACK_PATH = '/api/auth/online/callback';
 const THEME_EMBED_HANDLE = 'cart-validator';
 const THEME_BLOCK_HANDLE = 'product-limit-notice';
 const DEFAULT_APP_URL = 'https://order-limits-manager-production.up.railway.app';
 const shopPolicyCache = new Map();
+const pendingCheckoutPolicySyncs = new Map();
+const pendingScheduleBoundarySyncs = new Map();
 
 function resolvePublicAppUrl(rawValue) {
   const candidate = typeof rawValue === 'string' ? rawValue.trim() : '';
@@ -94,6 +189,34 @@ const PRODUCT_CATALOG_QUERY = `
   }
 `;
 
+const COLLECTION_CATALOG_QUERY = `
+  query LimitProCollectionCatalog($after: String) {
+    collections(first: 100, after: $after, sortKey: TITLE) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      nodes {
+        id
+        title
+        handle
+        image {
+          url
+        }
+      }
+    }
+  }
+`;
+
+const SHOP_DETAILS_QUERY = `
+  query LimitProShopDetails {
+    shop {
+      currencyCode
+      ianaTimezone
+    }
+  }
+`;
+
 const THEME_SETUP_QUERY = `
   query LimitProThemeSetup {
     themes(first: 20) {
@@ -112,34 +235,80 @@ function invalidateShopPolicyCache(shopId) {
   }
 }
 
-function buildRuleBuckets(rules) {
-  const productRules = new Map();
-  const variantRules = new Map();
-  const cartRules = [];
+// Pushes the rule set to the checkout validation Function's metafield.
+// Debounced per shop so a burst of edits results in a single Admin API write.
+function scheduleCheckoutPolicySync(shopId) {
+  if (!shopId) return;
 
-  for (const rule of rules) {
-    if (rule.ruleType === 'product' && rule.targetId) {
-      for (const key of normalizeRuleTargetIds(rule.targetId)) {
-        if (!productRules.has(key)) productRules.set(key, []);
-        productRules.get(key).push(rule);
-      }
-      continue;
-    }
+  clearTimeout(pendingCheckoutPolicySyncs.get(shopId));
+  pendingCheckoutPolicySyncs.set(shopId, setTimeout(async () => {
+    pendingCheckoutPolicySyncs.delete(shopId);
 
-    if (rule.ruleType === 'variant' && rule.targetId) {
-      for (const key of normalizeRuleTargetIds(rule.targetId)) {
-        if (!variantRules.has(key)) variantRules.set(key, []);
-        variantRules.get(key).push(rule);
+    try {
+      const session = await getOfflineSession(shopId);
+      if (session) {
+        const policy = await syncCheckoutPolicy(session, shopId);
+        scheduleBoundarySync(shopId, policy.nextChangeAt);
       }
-      continue;
+    } catch (error) {
+      console.error(`Error syncing checkout policy for ${shopId}:`, error);
     }
+  }, CHECKOUT_POLICY_SYNC_DELAY_MS));
+}
 
-    if (rule.ruleType === 'cart') {
-      cartRules.push(rule);
-    }
+// Re-syncs when a scheduled rule starts or ends, since the Function only
+// sees the rules that were active at the last sync.
+function scheduleBoundarySync(shopId, nextChangeAt) {
+  clearTimeout(pendingScheduleBoundarySyncs.get(shopId));
+  pendingScheduleBoundarySyncs.delete(shopId);
+
+  if (!nextChangeAt) return;
+
+  const delay = Math.min(Math.max(new Date(nextChangeAt).getTime() - Date.now(), 0), MAX_TIMER_DELAY_MS);
+  pendingScheduleBoundarySyncs.set(shopId, setTimeout(() => {
+    pendingScheduleBoundarySyncs.delete(shopId);
+    invalidateShopPolicyCache(shopId);
+    scheduleCheckoutPolicySync(shopId);
+  }, delay));
+}
+
+// Drops the shop's cached policy and pending sync timers once it can no
+// longer be synced (uninstalled or erased).
+function forgetShopRuntimeState(shopId) {
+  clearTimeout(pendingCheckoutPolicySyncs.get(shopId));
+  pendingCheckoutPolicySyncs.delete(shopId);
+  scheduleBoundarySync(shopId, null);
+  invalidateShopPolicyCache(shopId);
+}
+
+// Runs after anything that can change the shop's plan, and pushes the rules
+// a downgrade or upgrade switched off or back on.
+async function enforceShopPlan(shopId) {
+  const { enabled, disabled } = await applyPlanLimits(shopId);
+
+  if (enabled || disabled) {
+    invalidateShopPolicyCache(shopId);
+    scheduleCheckoutPolicySync(shopId);
   }
+}
+
+// Boundary timers don't survive a restart, so re-sync every shop that still
+// has a schedule change ahead of it.
+async function resumeScheduledRuleSyncs() {
+  const now = new Date();
+  const shops = await prisma.rule.findMany({
+    where: {
+      enabled: true,
+      OR: [
+        { startsAt: { gt: now } },
+        { endsAt: { gt: now } },
+      ],
+    },
+    select: { shopId: true },
+    distinct: ['shopId'],
+  });
 
-  return { productRules, variantRules, cartRules };
+  shops.forEach(({ shopId }) => scheduleCheckoutPolicySync(shopId));
 }
 
 async function getShopPolicy(shop) {
@@ -149,7 +318,7 @@ async function getShopPolicy(shop) {
     return cached.data;
   }
 
-  const [rules, settings] = await Promise.all([
+  const [rules, settingsRecord, shopRecord] = await Promise.all([
     prisma.rule.findMany({
       where: {
         shopId: shop,
@@ -159,9 +328,21 @@ async function getShopPolicy(shop) {
         id: true,
         ruleType: true,
         targetId: true,
+        targetTitle: true,
         minQuantity: true,
         maxQuantity: true,
+        stepQuantity: true,
+        minValue: true,
+        maxValue: true,
+        aggregation: true,
+        purchaseWindow: true,
+        startsAt: true,
+        endsAt: true,
+        audience: true,
+        customerTags: true,
         message: true,
+        priority: true,
+        combination: true,
       },
     }),
     prisma.settings.findUnique({
@@ -169,37 +350,64 @@ async function getShopPolicy(shop) {
       select: {
         globalMinCart: true,
         globalMaxCart: true,
+        globalMinCartValue: true,
+        globalMaxCartValue: true,
+        globalMinProducts: true,
+        globalMaxProducts: true,
+        globalMinVariants: true,
+        globalMaxVariants: true,
+        globalMinLines: true,
+        globalMaxLines: true,
         showCartWarning: true,
         blockCheckout: true,
       },
     }),
+    prisma.shop.findUnique({
+      where: { id: shop },
+      select: { currencyCode: true },
+    }),
   ]);
 
+  const collections = await loadCollectionMembership(
+    shop,
+    rules.filter((rule) => rule.ruleType === 'collection').map((rule) => rule.targetId)
+  );
+  const settings = settingsRecord && {
+    ...settingsRecord,
+    globalMinCartValue: toMoneyNumber(settingsRecord.globalMinCartValue),
+    globalMaxCartValue: toMoneyNumber(settingsRecord.globalMaxCartValue),
+  };
   const data = {
     settings,
-    ...buildRuleBuckets(rules),
+    currencyCode: shopRecord?.currencyCode || null,
+    policy: compilePolicy({
+      rules: rules.map((rule) => ({
+        ...rule,
+        minValue: toMoneyNumber(rule.minValue),
+        maxValue: toMoneyNumber(rule.maxValue),
+      })),
+      settings,
+      collections,
+      now,
+    }),
   };
 
   shopPolicyCache.set(shop, {
-    expiresAt: now + SHOP_POLICY_CACHE_TTL_MS,
+    // Scheduled rules change the active set, so never cache across a boundary.
+    expiresAt: Math.min(now + SHOP_POLICY_CACHE_TTL_MS, data.policy.nextBoundaryAt ?? Infinity),
     data,
   });
 
   return data;
 }
 
-function sanitizeShop(shop, throwOnInvalid = false) {
-  if (!shop || typeof shop !== 'string') return null;
-
-  try {
-    return shopify.utils.sanitizeShop(shop, throwOnInvalid);
-  } catch (error) {
-    if (throwOnInvalid) {
-      throw error;
-    }
+async function getShopTimezone(shop) {
+  const shopRecord = await prisma.shop.findUnique({
+    where: { id: shop },
+    select: { ianaTimezone: true },
+  });
 
-    return null;
-  }
+  return shopRecord?.ianaTimezone || 'UTC';
 }
 
 function extractNumericId(gid) {
@@ -229,45 +437,16 @@ function setResponseHeaders(res, headers = {}) {
   });
 }
 
-async function getOfflineSession(shop) {
-  const normalizedShop = sanitizeShop(shop);
-  if (!normalizedShop) return null;
-
-  const shopRecord = await prisma.shop.findUnique({
-    where: { id: normalizedShop },
-    select: {
-      id: true,
-      accessToken: true,
-      grantedScopes: true,
-    },
-  });
-
-  if (!shopRecord?.accessToken) {
-    return null;
-  }
-
-  return new Session({
-    id: shopify.session.getOfflineId(shopRecord.id),
-    shop: shopRecord.id,
-    state: 'offline',
-    isOnline: false,
-    scope: shopRecord.grantedScopes || shopify.config.scopes.toString(),
-    accessToken: shopRecord.accessToken,
-  });
-}
-
-async function runAdminQuery(session, query, variables = {}) {
-  const client = new shopify.clients.Graphql({ session });
-  const response = await client.query({
-    data: { query, variables },
-  });
-  const payload = response.body;
+// Query string for the next auth step or the dashboard, keeping the host
+// Shopify passed along.
+function authRedirectParams(req, shop) {
+  const params = new URLSearchParams({ shop });
 
-  if (payload?.errors?.length) {
-    throw new Error(payload.errors.map((error) => error.message).join(', '));
+  if (typeof req.query.host === 'string' && req.query.host) {
+    params.set('host', req.query.host);
   }
 
-  return payload?.data || {};
+  return params.toString();
 }
 
 function buildThemeSetupLinks(shop, themeNumericId = 'current') {
@@ -323,27 +502,6 @@ function buildProductSearchResults(products, ruleType, rawQuery) {
   }));
 }
 
-function aggregateProductRuleSummary(rules) {
-  const minQuantity = rules
-    .map((rule) => rule.minQuantity)
-    .filter((value) => Number.isInteger(value))
-    .reduce((highest, current) => Math.max(highest, current), 0);
-  const maxValues = rules
-    .map((rule) => rule.maxQuantity)
-    .filter((value) => Number.isInteger(value));
-  const maxQuantity = maxValues.length > 0 ? Math.min(...maxValues) : null;
-  const messages = rules
-    .map((rule) => rule.message)
-    .filter(Boolean);
-
-  return {
-    hasRules: rules.length > 0,
-    minQuantity: minQuantity || null,
-    maxQuantity,
-    message: messages[0] || null,
-  };
-}
-
 function formatCatalogPrice(amount, currencyCode) {
   const numericAmount = Number(amount);
 
@@ -362,6 +520,13 @@ function formatCatalogPrice(amount, currencyCode) {
   }
 }
 
+// Thresholds are stored in the shop currency; shoppers see them converted to
+// the cart's presentment currency using the rate the storefront reports.
+function formatPresentmentAmount(amount, presentment) {
+  const converted = amount * presentment.rate;
+  return formatCatalogPrice(converted, presentment.currency) || converted.toFixed(2);
+}
+
 function buildCatalogEntries(products, ruleType) {
   if (ruleType === 'variant') {
     return products.flatMap((product) => (
@@ -396,6 +561,16 @@ function buildCatalogEntries(products, ruleType) {
   }));
 }
 
+function buildCollectionCatalogEntries(collections) {
+  return collections.map((collection) => ({
+    id: extractNumericId(collection.id),
+    title: collection.title,
+    targetTitle: collection.title,
+    subtitle: collection.handle ? `/collections/${collection.handle}` : null,
+    image: collection.image?.url || null,
+  }));
+}
+
 async function loadCatalogProducts(session, maxProducts = 250) {
   const products = [];
   let after = null;
@@ -417,17 +592,89 @@ async function loadCatalogProducts(session, maxProducts = 250) {
   return products.slice(0, maxProducts);
 }
 
+async function loadCatalogCollections(session, maxCollections = 250) {
+  const collections = [];
+  let after = null;
+
+  while (collections.length < maxCollections) {
+    const data = await runAdminQuery(session, COLLECTION_CATALOG_QUERY, { after });
+    const connection = data.collections;
+
+    collections.push(...(connection?.nodes || []));
+
+    if (!connection?.pageInfo?.hasNextPage || !connection?.pageInfo?.endCursor) {
+      break;
+    }
+
+    after = connection.pageInfo.endCursor;
+  }
+
+  return collections.slice(0, maxCollections);
+}
+
+function normalizeCatalogType(value) {
+  return ['variant', 'collection'].includes(value) ? value : 'product';
+}
+
+// Unique constraint violation, e.g. a shipment ID the shop already uses.
+function isUniqueConstraintError(error) {
+  return error?.code === 'P2002';
+}
+
+// 400 with every field-level problem in errors; error is the first of them,
+// for callers that show a single message.
+function sendValidationErrors(res, errors) {
+  return res.status(400).json({ success: false, error: errors[0].message, errors });
+}
+
+// The customer id comes from the signed app proxy query. Tags and company
+// are posted by the storefront blocks and only pick which rules apply; the
+// checkout Function reads the buyer identity from Shopify itself.
+function parseCustomerContext(customerId, source = {}) {
+  const companyId = source.companyId ? source.companyId.toString() : null;
+
+  return {
+    id: customerId,
+    loggedIn: Boolean(customerId),
+    tags: customerId ? parseCustomerTags(source.customerTags) : [],
+    companyId: customerId ? companyId : null,
+  };
+}
+
+// Refreshes cached membership for a collection rule's target. Failures are
+// logged rather than surfaced: the rule is saved either way and the next
+// collections/update webhook fills the cache in.
+async function refreshCollectionMembership(shop, collectionId) {
+  try {
+    const session = await getOfflineSession(shop);
+
+    if (!session) {
+      console.warn(`Skipping collection sync for ${shop}: no offline session`);
+      return;
+    }
+
+    await syncCollectionProducts(session, shop, collectionId);
+    invalidateShopPolicyCache(shop);
+    scheduleCheckoutPolicySync(shop);
+  } catch (error) {
+    console.error(`Error syncing collection ${collectionId} for ${shop}:`, error);
+  }
+}
+
 // Middleware
-app.use(cors({
-  origin: '*',
-  credentials: true,
-}));
-app.use(express.json());
+// Webhooks are verified against the raw body, so they're routed before the
+// JSON parser. Handlers are registered per topic further down.
+app.post(['/webhooks', '/webhooks/*'], webhookRawBody, handleWebhook);
+// Rule imports carry the whole file in the body, so allow more than the default
+// 100kb.
+app.use(express.json({ limit: '2mb' }));
 app.use(express.static('public'));
 
-// Auth: begin OAuth
+// Auth: begin OAuth. Logging in takes two grants: an offline token for the
+// shop, stored for background work, then an online token that names the
+// staff member for the dashboard session (and the audit log).
 app.get('/api/auth', async (req, res) => {
-  const shop = sanitizeShop(req.query.shop, false);
+  const shop = sanitizeShop(req.query.shop);
 
   if (!shop) {
     return res.status(400).send('Missing or invalid shop parameter');
@@ -457,6 +704,17 @@ app.get(SHOPIFY_CALLBACK_PATH, async (req, res) => {
 
     setResponseHeaders(res, headers);
 
+    let currencyCode = null;
+    let ianaTimezone = null;
+
+    try {
+      const data = await runAdminQuery(session, SHOP_DETAILS_QUERY);
+      currencyCode = data.shop?.currencyCode || null;
+      ianaTimezone = data.shop?.ianaTimezone || null;
+    } catch (error) {
+      console.error(`Error loading shop details for ${session.shop}:`, error);
+    }
+
     await prisma.shop.upsert({
       where: { id: session.shop },
       update: {
@@ -464,6 +722,8 @@ app.get(SHOPIFY_CALLBACK_PATH, async (req, res) => {
         accessToken: session.accessToken,
         grantedScopes: session.scope,
         installedAt: new Date(),
+        ...(currencyCode ? { currencyCode } : {}),
+        ...(ianaTimezone ? { ianaTimezone } : {}),
       },
       create: {
         id: session.shop,
@@ -471,20 +731,74 @@ app.get(SHOPIFY_CALLBACK_PATH, async (req, res) => {
         accessToken: session.accessToken,
         grantedScopes: session.scope,
         installedAt: new Date(),
+        currencyCode,
+        ianaTimezone,
       },
     });
+    invalidateShopPolicyCache(session.shop);
+    scheduleCheckoutPolicySync(session.shop);
 
-    const redirectParams = new URLSearchParams({
-      shop: session.shop,
+    try {
+      await enforceShopPlan(session.shop);
+    } catch (error) {
+      console.error(`Error applying plan limits for ${session.shop}:`, error);
+    }
+
+    res.redirect(`/api/auth/online?${authRedirectParams(req, session.shop)}`);
+  } catch (error) {
+    console.error('Error completing Shopify auth:', error);
+    res.status(500).send('Shopify authentication failed');
+  }
+});
+
+// Auth: begin the online grant for the staff member logging in
+app.get('/api/auth/online', async (req, res) => {
+  const shop = sanitizeShop(req.query.shop);
+
+  if (!shop) {
+    return res.status(400).send('Missing or invalid shop parameter');
+  }
+
+  try {
+    await shopify.auth.begin({
+      rawRequest: req,
+      rawResponse: res,
+      shop,
+      callbackPath: SHOPIFY_ONLINE_CALLBACK_PATH,
+      isOnline: true,
     });
+  } catch (error) {
+    console.error('Error starting Shopify staff auth:', error);
+    res.status(500).send('Unable to start Shopify authentication');
+  }
+});
+
+// Auth: online callback. Only the staff member is kept; the online token
+// itself isn't stored.
+app.get(SHOPIFY_ONLINE_CALLBACK_PATH, async (req, res) => {
+  try {
+    const { session, headers } = await shopify.auth.callback({
+      rawRequest: req,
+      rawResponse: res,
+    });
+
+    setResponseHeaders(res, headers);
 
-    if (typeof req.query.host === 'string' && req.query.host) {
-      redirectParams.set('host', req.query.host);
+    const user = session.onlineAccessInfo?.associated_user;
+    const shopRecord = await prisma.shop.findUnique({
+      where: { id: session.shop },
+      select: { accessToken: true },
+    });
+
+    // Not installed (or uninstalled meanwhile): start over with the install grant.
+    if (!user || !shopRecord?.accessToken) {
+      return res.redirect(`/api/auth?${authRedirectParams(req, session.shop)}`);
     }
 
-    res.redirect(`/?${redirectParams.toString()}`);
+    setAdminSessionCookie(res, session.shop, user);
+    res.redirect(`/?${authRedirectParams(req, session.shop)}`);
   } catch (error) {
-    console.error('Error completing Shopify auth:', error);
+    console.error('Error completing Shopify staff auth:', error);
     res.status(500).send('Shopify authentication failed');
   }
 });
@@ -497,7 +811,7 @@ app.get('/health', (req, res) => {
 // Home route
 app.get('/', async (req, res) => {
   try {
-    const shop = sanitizeShop(req.query.shop, false);
+    const shop = sanitizeShop(req.query.shop);
 
     if (shop) {
       const shopRecord = await prisma.shop.findUnique({
@@ -505,9 +819,15 @@ app.get('/', async (req, res) => {
         select: { accessToken: true },
       });
 
+      // OAuth installs the app; its online grant issues the admin session
+      // cookie, which is all an installed shop needs again.
       if (!shopRecord?.accessToken) {
         return res.redirect(`/api/auth?shop=${encodeURIComponent(shop)}`);
       }
+
+      if (await resolveAdminShop(req) !== shop) {
+        return res.redirect(`/api/auth/online?shop=${encodeURIComponent(shop)}`);
+      }
     }
 
     res.sendFile(path.join(__dirname, 'admin-dashboard-with-search.html'));
@@ -518,16 +838,8 @@ app.get('/', async (req, res) => {
 });
 
 // API: Get theme setup links and onboarding context
-app.get('/api/theme/setup', async (req, res) => {
-  const shop = sanitizeShop(req.query.shop, false);
-
-  if (!shop) {
-    return res.status(400).json({
-      success: false,
-      error: 'Missing or invalid shop parameter',
-    });
-  }
-
+app.get('/api/theme/setup', requireAdminSession, async (req, res) => {
+  const { shop } = req;
   const session = await getOfflineSession(shop);
 
   if (!session) {
@@ -566,19 +878,12 @@ app.get('/api/theme/setup', async (req, res) => {
 });
 
 // API: Search products/variants for admin dashboard
-app.get('/api/products/search', async (req, res) => {
+app.get('/api/products/search', requireAdminSession, async (req, res) => {
   try {
-    const shop = sanitizeShop(req.query.shop, false);
+    const { shop } = req;
     const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
     const ruleType = req.query.type === 'variant' ? 'variant' : 'product';
 
-    if (!shop) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing or invalid shop parameter',
-      });
-    }
-
     if (query.length < 2) {
       return res.json({ success: true, products: [] });
     }
@@ -607,18 +912,10 @@ app.get('/api/products/search', async (req, res) => {
 });
 
 // API: Load product catalog for dropdowns
-app.get('/api/products/catalog', async (req, res) => {
+app.get('/api/products/catalog', requireAdminSession, async (req, res) => {
   try {
-    const shop = sanitizeShop(req.query.shop, false);
-    const ruleType = req.query.type === 'variant' ? 'variant' : 'product';
-
-    if (!shop) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing or invalid shop parameter',
-      });
-    }
-
+    const { shop } = req;
+    const ruleType = normalizeCatalogType(req.query.type);
     const session = await getOfflineSession(shop);
 
     if (!session) {
@@ -629,6 +926,15 @@ app.get('/api/products/catalog', async (req, res) => {
       });
     }
 
+    if (ruleType === 'collection') {
+      const collections = await loadCatalogCollections(session);
+
+      return res.json({
+        success: true,
+        products: buildCollectionCatalogEntries(collections),
+      });
+    }
+
     const products = await loadCatalogProducts(session);
 
     res.json({
@@ -642,47 +948,92 @@ app.get('/api/products/catalog', async (req, res) => {
 });
 
 // API: Get all rules for a shop
-app.get('/api/rules', async (req, res) => {
+app.get('/api/rules', requireAdminSession, async (req, res) => {
   try {
-    const shop = req.query.shop || 'test-shop';
+    const { shop } = req;
+    const [rules, timezone] = await Promise.all([
+      prisma.rule.findMany({
+        where: { shopId: shop },
+        orderBy: { createdAt: 'desc' },
+      }),
+      getShopTimezone(shop),
+    ]);
+    const now = Date.now();
 
-    const rules = await prisma.rule.findMany({
-      where: { shopId: shop },
-      orderBy: { createdAt: 'desc' },
+    res.json({
+      success: true,
+      timezone,
+      rules: rules.map((rule) => ({
+        ...rule,
+        scheduleStatus: ruleScheduleStatus(rule, now),
+      })),
     });
-
-    res.json({ success: true, rules });
   } catch (error) {
     console.error('Error fetching rules:', error);
     res.status(500).json({ success: false, error: 'Failed to fetch rules' });
   }
 });
 
-// API: Create a new rule
-app.post('/api/rules', async (req, res) => {
+// API: Check a rule before saving it: field errors, plus warnings for limits
+// that contradict other rules (e.g. a variant minimum above its product's
+// maximum). Takes the same body as create, or an update with ruleId.
+app.post('/api/rules/check', requireAdminSession, async (req, res) => {
   try {
-    const shop = req.body.shop || 'test-shop';
-    const { ruleType, targetId, targetTitle, minQuantity, maxQuantity, message } = req.body;
+    const { shop } = req;
+    const { ruleId } = req.body || {};
+    const existing = ruleId
+      ? await prisma.rule.findFirst({ where: { id: ruleId, shopId: shop } })
+      : null;
+
+    if (ruleId && !existing) {
+      return res.status(404).json({ success: false, error: 'Rule not found' });
+    }
 
-    await prisma.shop.upsert({
-      where: { id: shop },
-      update: {},
-      create: { id: shop, name: shop },
+    const { rule, errors } = parseRuleInput(req.body, {
+      timezone: await getShopTimezone(shop),
+      existing,
     });
 
-    const rule = await prisma.rule.create({
-      data: {
-        shopId: shop,
-        ruleType,
-        targetId,
-        targetTitle,
-        minQuantity: minQuantity ? parseInt(minQuantity, 10) : null,
-        maxQuantity: maxQuantity ? parseInt(maxQuantity, 10) : null,
-        message,
-        enabled: true,
-      },
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const warnings = await analyzeRuleConflicts(shop, await getOfflineSession(shop), rule);
+
+    res.json({ success: true, warnings });
+  } catch (error) {
+    console.error('Error checking rule:', error);
+    res.status(500).json({ success: false, error: 'Failed to check rule' });
+  }
+});
+
+// API: Create a rule
+app.post('/api/rules', requireAdminSession, async (req, res) => {
+  try {
+    const { shop } = req;
+    const { data, errors } = parseRuleInput(req.body, { timezone: await getShopTimezone(shop) });
+
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const entitlementError = await checkRuleEntitlement(shop, data);
+
+    if (entitlementError) {
+      return res.status(403).json({ success: false, error: entitlementError, upgradeRequired: true });
+    }
+
+    const rule = await prisma.$transaction(async (tx) => {
+      const created = await tx.rule.create({ data: { ...data, shopId: shop } });
+      await recordAuditEntries(tx, ruleAuditEntries(shop, req.actor, [[null, created]]));
+      return created;
     });
     invalidateShopPolicyCache(shop);
+    scheduleCheckoutPolicySync(shop);
+
+    if (rule.ruleType === 'collection' && rule.targetId) {
+      await refreshCollectionMembership(shop, rule.targetId);
+    }
 
     res.json({ success: true, rule });
   } catch (error) {
@@ -691,30 +1042,48 @@ app.post('/api/rules', async (req, res) => {
   }
 });
 
-// API: Update a rule
-app.put('/api/rules/:id', async (req, res) => {
+// API: Update a rule. Only the fields sent are changed, so toggling a rule
+// keeps its limits and schedule.
+app.put('/api/rules/:id', requireAdminSession, async (req, res) => {
   try {
     const { id } = req.params;
-    const { minQuantity, maxQuantity, enabled, message } = req.body;
-
-    const rule = await prisma.rule.update({
-      where: { id },
-      data: {
-        minQuantity: minQuantity ? parseInt(minQuantity, 10) : null,
-        maxQuantity: maxQuantity ? parseInt(maxQuantity, 10) : null,
-        enabled,
-        message,
-      },
-      select: {
-        id: true,
-        shopId: true,
-        minQuantity: true,
-        maxQuantity: true,
-        enabled: true,
-        message: true,
-      },
+    const existing = await prisma.rule.findFirst({
+      where: { id, shopId: req.shop },
+    });
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Rule not found' });
+    }
+
+    const { data, rule: updated, errors } = parseRuleInput(req.body, {
+      timezone: await getShopTimezone(req.shop),
+      existing,
+    });
+
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const entitlementError = await checkRuleEntitlement(req.shop, updated, { excludeRuleId: id });
+
+    if (entitlementError) {
+      return res.status(403).json({ success: false, error: entitlementError, upgradeRequired: true });
+    }
+
+    const rule = await prisma.$transaction(async (tx) => {
+      const saved = await tx.rule.update({
+        where: { id },
+        data: {
+          ...data,
+          // Turning a rule on or off by hand overrides a downgrade.
+          ...(data.enabled !== undefined ? { disabledReason: null } : {}),
+        },
+      });
+      await recordAuditEntries(tx, ruleAuditEntries(req.shop, req.actor, [[existing, saved]]));
+      return saved;
     });
     invalidateShopPolicyCache(rule.shopId);
+    scheduleCheckoutPolicySync(rule.shopId);
 
     res.json({ success: true, rule });
   } catch (error) {
@@ -724,15 +1093,23 @@ app.put('/api/rules/:id', async (req, res) => {
 });
 
 // API: Delete a rule
-app.delete('/api/rules/:id', async (req, res) => {
+app.delete('/api/rules/:id', requireAdminSession, async (req, res) => {
   try {
     const { id } = req.params;
+    const existing = await prisma.rule.findFirst({
+      where: { id, shopId: req.shop },
+    });
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Rule not found' });
+    }
 
-    const deletedRule = await prisma.rule.delete({
-      where: { id },
-      select: { shopId: true },
+    await prisma.$transaction(async (tx) => {
+      await tx.rule.delete({ where: { id } });
+      await recordAuditEntries(tx, ruleAuditEntries(req.shop, req.actor, [[existing, null]]));
     });
-    invalidateShopPolicyCache(deletedRule.shopId);
+    invalidateShopPolicyCache(req.shop);
+    scheduleCheckoutPolicySync(req.shop);
 
     res.json({ success: true });
   } catch (error) {
@@ -741,206 +1118,630 @@ app.delete('/api/rules/:id', async (req, res) => {
   }
 });
 
-// API: Get settings
-app.get('/api/settings', async (req, res) => {
+// API: Download all rules and settings as CSV or JSON
+app.get('/api/rules/export', requireAdminSession, async (req, res) => {
   try {
-    const shop = req.query.shop || 'test-shop';
-
-    await prisma.shop.upsert({
-      where: { id: shop },
-      update: {},
-      create: { id: shop, name: shop },
-    });
+    const { shop } = req;
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const exportData = await exportShopRules(shop);
+    const date = exportData.exportedAt.slice(0, 10);
 
-    let settings = await prisma.settings.findUnique({
-      where: { shopId: shop },
-    });
+    res.attachment(`limitpro-rules-${shop.replace('.myshopify.com', '')}-${date}.${format}`);
 
-    if (!settings) {
-      settings = await prisma.settings.create({
-        data: { shopId: shop },
-      });
+    if (format === 'json') {
+      return res.json(exportData);
     }
 
-    res.json({ success: true, settings });
+    res.type('text/csv').send(toCsv(exportData));
   } catch (error) {
-    console.error('Error fetching settings:', error);
-    res.status(500).json({ success: false, error: 'Failed to fetch settings' });
+    console.error('Error exporting rules:', error);
+    res.status(500).json({ success: false, error: 'Failed to export rules' });
   }
 });
 
-// API: Update settings
-app.put('/api/settings', async (req, res) => {
+// API: Import rules and settings from an export. Every row is validated and
+// every target looked up before anything is written; with dryRun the diff is
+// returned without applying it. mode "replace" also deletes rules missing
+// from the file. The changes are applied in one transaction.
+app.post('/api/rules/import', requireAdminSession, async (req, res) => {
   try {
-    const shop = req.body.shop || 'test-shop';
-    const {
-      globalMinCart,
-      globalMaxCart,
-      showCartWarning,
-      blockCheckout,
-      customMessageEnabled,
-    } = req.body;
-
-    await prisma.shop.upsert({
-      where: { id: shop },
-      update: {},
-      create: { id: shop, name: shop },
-    });
+    const { shop } = req;
+    const { format, content, dryRun } = req.body || {};
+    const mode = req.body?.mode === 'replace' ? 'replace' : 'merge';
+    const parsed = parseImportFile(format, content);
 
-    const settings = await prisma.settings.upsert({
-      where: { shopId: shop },
-      update: {
-        globalMinCart: globalMinCart ? parseInt(globalMinCart, 10) : null,
-        globalMaxCart: globalMaxCart ? parseInt(globalMaxCart, 10) : null,
-        showCartWarning,
-        blockCheckout,
-        customMessageEnabled,
-      },
-      create: {
-        shopId: shop,
-        globalMinCart: globalMinCart ? parseInt(globalMinCart, 10) : null,
-        globalMaxCart: globalMaxCart ? parseInt(globalMaxCart, 10) : null,
-        showCartWarning,
-        blockCheckout,
-        customMessageEnabled,
-      },
-    });
-    invalidateShopPolicyCache(shop);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, error: parsed.error });
+    }
 
-    res.json({ success: true, settings });
-  } catch (error) {
-    console.error('Error updating settings:', error);
-    res.status(500).json({ success: false, error: 'Failed to update settings' });
-  }
-});
+    const session = await getOfflineSession(shop);
 
-// API: Validate cart (called from storefront)
-app.post('/api/validate-cart', async (req, res) => {
-  try {
-    const shop = sanitizeShop(req.body.shop, false);
-    const items = Array.isArray(req.body.items) ? req.body.items : null;
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: 'Shop authentication required',
+        authUrl: `/api/auth?shop=${encodeURIComponent(shop)}`,
+      });
+    }
+
+    const plan = await planRuleImport(shop, session, parsed, {
+      mode,
+      timezone: await getShopTimezone(shop),
+    });
 
-    if (!shop || !items) {
+    if (plan.errors.length) {
       return res.status(400).json({
         success: false,
-        error: 'Missing shop or items',
+        error: `The file has ${plan.errors.length} problem${plan.errors.length === 1 ? '' : 's'}; nothing was imported`,
+        errors: plan.errors,
+        diff: plan.diff,
       });
     }
 
-    const {
-      productRules,
-      variantRules,
-      cartRules,
-      settings,
-    } = await getShopPolicy(shop);
-
-    const violations = [];
-    const normalizedItems = items.map((item) => ({
-      ...item,
-      quantity: Number(item.quantity) || 0,
-      product_id: item.product_id?.toString() || null,
-      variant_id: item.variant_id?.toString() || null,
-    }));
+    if (dryRun) {
+      return res.json({ success: true, dryRun: true, mode, diff: plan.diff });
+    }
 
-    for (const [itemIndex, item] of normalizedItems.entries()) {
-      const matchingRules = [];
-      const seenRuleIds = new Set();
+    const result = await applyRuleImport(shop, plan.changes, req.actor);
+    invalidateShopPolicyCache(shop);
+    scheduleCheckoutPolicySync(shop);
 
-      for (const productKey of normalizeRuleTargetIds(item.product_id)) {
-        if (!productRules.has(productKey)) continue;
+    const collectionIds = new Set(plan.changes.creates
+      .concat(plan.changes.updates.map((update) => update.rule))
+      .filter((rule) => rule.ruleType === 'collection' && rule.targetId)
+      .map((rule) => rule.targetId));
 
-        for (const rule of productRules.get(productKey)) {
-          if (seenRuleIds.has(rule.id)) continue;
-          seenRuleIds.add(rule.id);
-          matchingRules.push(rule);
-        }
-      }
+    for (const collectionId of collectionIds) {
+      await refreshCollectionMembership(shop, collectionId);
+    }
 
-      for (const variantKey of normalizeRuleTargetIds(item.variant_id)) {
-        if (!variantRules.has(variantKey)) continue;
+    res.json({ success: true, mode, diff: plan.diff, result });
+  } catch (error) {
+    console.error('Error importing rules:', error);
+    res.status(500).json({ success: false, error: 'Failed to import rules' });
+  }
+});
 
-        for (const rule of variantRules.get(variantKey)) {
-          if (seenRuleIds.has(rule.id)) continue;
-          seenRuleIds.add(rule.id);
-          matchingRules.push(rule);
-        }
-      }
+// API: Enable, disable, delete or edit many rules at once. edit takes
+// changes with the limit fields to set on every selected rule.
+app.post('/api/rules/bulk', requireAdminSession, async (req, res) => {
+  try {
+    const { shop } = req;
+    const { action, ids, changes } = req.body || {};
 
-      for (const rule of matchingRules) {
-        if (rule.minQuantity && item.quantity < rule.minQuantity) {
-          violations.push({
-            scope: 'item',
-            type: 'min',
-            item: item.title,
-            itemIndex,
-            productId: item.product_id,
-            variantId: item.variant_id,
-            limit: rule.minQuantity,
-            current: item.quantity,
-            message: rule.message || `Minimum quantity for ${item.title} is ${rule.minQuantity}`,
-          });
-        }
+    if (!BULK_RULE_ACTIONS.includes(action)) {
+      return res.status(400).json({ success: false, error: `Action must be one of ${BULK_RULE_ACTIONS.join(', ')}` });
+    }
 
-        if (rule.maxQuantity && item.quantity > rule.maxQuantity) {
-          violations.push({
-            scope: 'item',
-            type: 'max',
-            item: item.title,
-            itemIndex,
-            productId: item.product_id,
-            variantId: item.variant_id,
-            limit: rule.maxQuantity,
-            current: item.quantity,
-            message: rule.message || `Maximum quantity for ${item.title} is ${rule.maxQuantity}`,
-          });
-        }
-      }
+    if (!Array.isArray(ids) || !ids.length || ids.length > MAX_BULK_RULES
+      || !ids.every((id) => typeof id === 'string')) {
+      return res.status(400).json({ success: false, error: `Select between 1 and ${MAX_BULK_RULES} rules` });
     }
 
-    const totalQuantity = normalizedItems.reduce((sum, item) => sum + item.quantity, 0);
-
-    for (const rule of cartRules) {
-      if (rule.minQuantity && totalQuantity < rule.minQuantity) {
-        violations.push({
-          scope: 'cart',
-          type: 'cart_min',
-          limit: rule.minQuantity,
-          current: totalQuantity,
-          message: rule.message || `Minimum cart quantity is ${rule.minQuantity} items`,
-        });
-      }
+    const result = await applyBulkRuleAction(shop, action, ids, changes, req.actor);
 
-      if (rule.maxQuantity && totalQuantity > rule.maxQuantity) {
-        violations.push({
-          scope: 'cart',
-          type: 'cart_max',
-          limit: rule.maxQuantity,
-          current: totalQuantity,
-          message: rule.message || `Maximum cart quantity is ${rule.maxQuantity} items`,
-        });
-      }
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error,
+        ...(result.upgradeRequired ? { upgradeRequired: true } : {}),
+        ...(result.errors ? { errors: result.errors } : {}),
+      });
     }
 
-    if (settings?.globalMinCart && totalQuantity < settings.globalMinCart) {
-      violations.push({
-        scope: 'cart',
-        type: 'cart_min',
-        limit: settings.globalMinCart,
-        current: totalQuantity,
-        message: `Minimum cart quantity is ${settings.globalMinCart} items`,
+    if (result.count) {
+      invalidateShopPolicyCache(shop);
+      scheduleCheckoutPolicySync(shop);
+    }
+
+    res.json({ success: true, action, count: result.count });
+  } catch (error) {
+    console.error('Error applying bulk rule action:', error);
+    res.status(500).json({ success: false, error: 'Failed to update rules' });
+  }
+});
+
+// API: Create the same product rule for every product matching a search.
+// With dryRun, lists the products that would get one.
+app.post('/api/rules/bulk-create', requireAdminSession, async (req, res) => {
+  try {
+    const { shop } = req;
+    const { query, template, dryRun } = req.body || {};
+    const session = await getOfflineSession(shop);
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: 'Shop authentication required',
+        authUrl: `/api/auth?shop=${encodeURIComponent(shop)}`,
       });
     }
 
-    if (settings?.globalMaxCart && totalQuantity > settings.globalMaxCart) {
-      violations.push({
-        scope: 'cart',
-        type: 'cart_max',
-        limit: settings.globalMaxCart,
-        current: totalQuantity,
-        message: `Maximum cart quantity is ${settings.globalMaxCart} items`,
+    const result = await createRulesForSearch(shop, session, {
+      query,
+      template,
+      dryRun: Boolean(dryRun),
+      timezone: await getShopTimezone(shop),
+      actor: req.actor,
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error,
+        ...(result.upgradeRequired ? { upgradeRequired: true } : {}),
       });
     }
 
+    if (result.count) {
+      invalidateShopPolicyCache(shop);
+      scheduleCheckoutPolicySync(shop);
+    }
+
+    res.json({
+      success: true,
+      dryRun: Boolean(dryRun),
+      products: result.products,
+      skipped: result.skipped,
+      count: result.count,
+    });
+  } catch (error) {
+    console.error('Error creating rules in bulk:', error);
+    res.status(500).json({ success: false, error: 'Failed to create rules' });
+  }
+});
+
+// API: Get settings
+app.get('/api/settings', requireAdminSession, async (req, res) => {
+  try {
+    const { shop } = req;
+    let settings = await prisma.settings.findUnique({
+      where: { shopId: shop },
+    });
+
+    if (!settings) {
+      settings = await prisma.settings.create({
+        data: { shopId: shop },
+      });
+    }
+
+    res.json({ success: true, settings });
+  } catch (error) {
+    console.error('Error fetching settings:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch settings' });
+  }
+});
+
+// API: Update settings. Fields left out of the body keep their saved values.
+app.put('/api/settings', requireAdminSession, async (req, res) => {
+  try {
+    const { shop } = req;
+    const existing = await prisma.settings.findUnique({ where: { shopId: shop } });
+    const { data, errors } = parseSettingsInput(req.body, { partial: true, existing });
+
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const settings = await prisma.$transaction(async (tx) => {
+      const before = await tx.settings.findUnique({ where: { shopId: shop } });
+      const saved = await tx.settings.upsert({
+        where: { shopId: shop },
+        update: data,
+        create: { shopId: shop, ...data },
+      });
+      await recordAuditEntries(tx, settingsAuditEntries(shop, req.actor, before, saved));
+      return saved;
+    });
+    invalidateShopPolicyCache(shop);
+    scheduleCheckoutPolicySync(shop);
+
+    res.json({ success: true, settings });
+  } catch (error) {
+    console.error('Error updating settings:', error);
+    res.status(500).json({ success: false, error: 'Failed to update settings' });
+  }
+});
+
+// API: Change history for rules and settings, newest first. ?ruleId= limits
+// it to one rule (including after it was deleted), ?entity= to "rule" or
+// "settings"; pass nextCursor back as ?cursor= for older entries.
+app.get('/api/audit-log', requireAdminSession, async (req, res) => {
+  const entity = ['rule', 'settings'].includes(req.query.entity) ? req.query.entity : null;
+
+  try {
+    const history = await listAuditEntries(req.shop, {
+      ruleId: req.query.ruleId?.toString() || null,
+      entity,
+      cursor: req.query.cursor?.toString() || null,
+      limit: req.query.limit,
+    });
+    res.json({ success: true, ...history });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch history' });
+  }
+});
+
+// API: Put a rule back to the version a history entry left it in. Reverting
+// a delete restores the rule. The revert is itself recorded.
+app.post('/api/audit-log/:id/revert', requireAdminSession, async (req, res) => {
+  try {
+    const { shop } = req;
+    const target = await findRuleVersion(shop, req.params.id);
+
+    if (target.error) {
+      return res.status(target.status).json({ success: false, error: target.error });
+    }
+
+    const entitlementError = await checkRuleEntitlement(shop, target.version, {
+      excludeRuleId: target.entry.ruleId,
+    });
+
+    if (entitlementError) {
+      return res.status(403).json({ success: false, error: entitlementError, upgradeRequired: true });
+    }
+
+    const rule = await revertRule(shop, req.actor, target);
+    invalidateShopPolicyCache(shop);
+    scheduleCheckoutPolicySync(shop);
+
+    if (rule.ruleType === 'collection' && rule.targetId) {
+      await refreshCollectionMembership(shop, rule.targetId);
+    }
+
+    res.json({ success: true, rule });
+  } catch (error) {
+    console.error('Error reverting rule:', error);
+    res.status(500).json({ success: false, error: 'Failed to revert rule' });
+  }
+});
+
+// API: Prep shipments, optionally filtered by status and shipment/order ID
+app.get('/api/prep-shipments', requireAdminSession, async (req, res) => {
+  try {
+    const result = await listPrepShipments(req.shop, {
+      status: normalizePrepShipmentStatus(req.query.status),
+      search: req.query.q,
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error fetching prep shipments:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch prep shipments' });
+  }
+});
+
+// API: Create a prep shipment (always starts Pending)
+app.post('/api/prep-shipments', requireAdminSession, async (req, res) => {
+  const { data, error: inputError } = parsePrepShipmentInput(req.body);
+
+  if (inputError) {
+    return res.status(400).json({ success: false, error: inputError });
+  }
+
+  try {
+    const { shipment, error } = await createPrepShipment(req.shop, data);
+
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    res.json({ success: true, shipment });
+  } catch (error) {
+    if (isUniqueConstraintError(error)) {
+      return res.status(409).json({ success: false, error: 'A shipment with that ID already exists' });
+    }
+
+    console.error('Error creating prep shipment:', error);
+    res.status(500).json({ success: false, error: 'Failed to create prep shipment' });
+  }
+});
+
+// API: Update a prep shipment's ID, units or order link
+app.put('/api/prep-shipments/:id', requireAdminSession, async (req, res) => {
+  const { data, error: inputError } = parsePrepShipmentInput(req.body, { partial: true });
+
+  if (inputError) {
+    return res.status(400).json({ success: false, error: inputError });
+  }
+
+  try {
+    const existing = await findPrepShipment(req.shop, req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Shipment not found' });
+    }
+
+    const shipment = await updatePrepShipment(req.shop, existing.id, data);
+
+    if (!shipment) {
+      return res.status(409).json({ success: false, error: 'Shipped shipments can\'t be changed' });
+    }
+
+    res.json({ success: true, shipment });
+  } catch (error) {
+    if (isUniqueConstraintError(error)) {
+      return res.status(409).json({ success: false, error: 'A shipment with that ID already exists' });
+    }
+
+    console.error('Error updating prep shipment:', error);
+    res.status(500).json({ success: false, error: 'Failed to update prep shipment' });
+  }
+});
+
+// API: Move a prep shipment to its next status (Pending -> Prepped -> Shipped)
+app.post('/api/prep-shipments/:id/status', requireAdminSession, async (req, res) => {
+  const status = normalizePrepShipmentStatus(req.body.status);
+
+  if (!status) {
+    return res.status(400).json({ success: false, error: 'Unknown shipment status' });
+  }
+
+  try {
+    const existing = await findPrepShipment(req.shop, req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Shipment not found' });
+    }
+
+    const shipment = await transitionPrepShipment(req.shop, existing.id, existing.status, status);
+
+    if (!shipment) {
+      return res.status(409).json({
+        success: false,
+        error: `A ${existing.status} shipment can't move to ${status}`,
+        status: existing.status,
+      });
+    }
+
+    res.json({ success: true, shipment });
+  } catch (error) {
+    console.error('Error updating prep shipment status:', error);
+    res.status(500).json({ success: false, error: 'Failed to update prep shipment status' });
+  }
+});
+
+// API: Delete a prep shipment that hasn't shipped
+app.delete('/api/prep-shipments/:id', requireAdminSession, async (req, res) => {
+  try {
+    const existing = await findPrepShipment(req.shop, req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Shipment not found' });
+    }
+
+    if (!(await deletePrepShipment(req.shop, existing.id))) {
+      return res.status(409).json({ success: false, error: 'Shipped shipments can\'t be deleted' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting prep shipment:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete prep shipment' });
+  }
+});
+
+// API: Current plan, the plan catalog, active rules and this period's
+// validation usage
+app.get('/api/billing', requireAdminSession, async (req, res) => {
+  try {
+    const [billing, usage] = await Promise.all([
+      getBillingStatus(req.shop),
+      getUsageSummary(req.shop),
+    ]);
+    res.json({ success: true, billing, usage });
+  } catch (error) {
+    console.error('Error fetching billing status:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch billing status' });
+  }
+});
+
+// API: Violation analytics for the last ?days= days (7, 30 or 90): blocked
+// carts and their value per day, fix rate, and the top rules and products
+app.get('/api/analytics', requireAdminSession, requireFeature('analytics'), async (req, res) => {
+  const requestedDays = Number(req.query.days);
+  const days = ANALYTICS_PERIODS.includes(requestedDays) ? requestedDays : 30;
+
+  try {
+    const analytics = await getViolationAnalytics(req.shop, {
+      days,
+      timezone: await getShopTimezone(req.shop),
+    });
+    res.json({ success: true, analytics });
+  } catch (error) {
+    console.error('Error fetching analytics:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch analytics' });
+  }
+});
+
+// API: Start a subscription to a paid plan; the dashboard sends the
+// merchant to the returned Shopify confirmation page
+app.post('/api/billing/subscribe', requireAdminSession, async (req, res) => {
+  const { plan } = req.body;
+
+  if (!PLANS[plan]?.subscriptionName) {
+    return res.status(400).json({ success: false, error: 'Choose a paid plan' });
+  }
+
+  try {
+    const session = await getOfflineSession(req.shop);
+    const confirmationUrl = await createRecurringCharge(session, plan);
+    res.json({ success: true, confirmationUrl });
+  } catch (error) {
+    console.error('Error creating subscription:', error);
+    res.status(500).json({ success: false, error: 'Failed to start subscription' });
+  }
+});
+
+// API: Cancel the current subscription, moving the shop to the Free plan
+app.post('/api/billing/cancel', requireAdminSession, async (req, res) => {
+  try {
+    const { subscriptionId } = await getBillingStatus(req.shop);
+
+    if (!subscriptionId) {
+      return res.status(404).json({ success: false, error: 'No subscription to cancel' });
+    }
+
+    const session = await getOfflineSession(req.shop);
+    await cancelSubscription(session, subscriptionId);
+    await enforceShopPlan(req.shop);
+    const billing = await getBillingStatus(req.shop);
+    res.json({ success: true, billing });
+  } catch (error) {
+    console.error('Error canceling subscription:', error);
+    res.status(500).json({ success: false, error: 'Failed to cancel subscription' });
+  }
+});
+
+// Billing: return from the Shopify charge approval page. Nothing here is
+// signed, so the outcome is read back from Shopify rather than trusted.
+app.get(BILLING_CALLBACK_PATH, async (req, res) => {
+  const shop = (await resolveAdminShop(req)) || sanitizeShop(req.query.shop);
+
+  if (!shop) {
+    return res.status(400).send('Missing or invalid shop parameter');
+  }
+
+  try {
+    const session = await getOfflineSession(shop);
+
+    if (!session) {
+      return res.redirect(`/api/auth?shop=${encodeURIComponent(shop)}`);
+    }
+
+    const { hasActiveSubscription } = await checkSubscriptionStatus(session);
+    await enforceShopPlan(shop);
+    const redirectParams = new URLSearchParams({
+      shop,
+      billing: hasActiveSubscription ? 'active' : 'declined',
+    });
+
+    res.redirect(`/?${redirectParams.toString()}`);
+  } catch (error) {
+    console.error('Error completing billing callback:', error);
+    res.status(500).send('Unable to confirm subscription');
+  }
+});
+
+// API: GDPR requests received for this shop
+app.get('/api/compliance/requests', requireAdminSession, async (req, res) => {
+  try {
+    const requests = await listComplianceRequests(req.shop);
+    res.json({ success: true, requests });
+  } catch (error) {
+    console.error('Error fetching compliance requests:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch compliance requests' });
+  }
+});
+
+// API: Download one request's report (the customer's data for data requests)
+app.get('/api/compliance/requests/:id/export', requireAdminSession, async (req, res) => {
+  try {
+    const request = await findComplianceRequest(req.shop, req.params.id);
+
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'Request not found' });
+    }
+
+    res.attachment(`limitpro-${request.topic.replace('/', '-')}-${request.id}.json`);
+    res.json({
+      id: request.id,
+      topic: request.topic,
+      customerId: request.customerId,
+      dataRequestId: request.dataRequestId,
+      status: request.status,
+      receivedAt: request.receivedAt,
+      completedAt: request.completedAt,
+      report: request.report,
+    });
+  } catch (error) {
+    console.error('Error exporting compliance request:', error);
+    res.status(500).json({ success: false, error: 'Failed to export compliance request' });
+  }
+});
+
+// API: Delete all of this shop's data. The body must repeat the shop domain
+// as confirmation. The offline session is read before erasing so the now
+// empty policy can still be pushed and checkout stops enforcing old rules.
+app.delete('/api/shop/data', requireAdminSession, async (req, res) => {
+  if (sanitizeShop(req.body?.confirm) !== req.shop) {
+    return res.status(400).json({ success: false, error: 'Type the shop domain to confirm' });
+  }
+
+  try {
+    const session = await getOfflineSession(req.shop);
+    const deleted = await eraseShopData(req.shop);
+    forgetShopRuntimeState(req.shop);
+
+    if (session) {
+      try {
+        await syncCheckoutPolicy(session, req.shop);
+      } catch (error) {
+        console.error(`Error clearing checkout policy for ${req.shop}:`, error);
+      }
+    }
+
+    clearAdminSessionCookie(res);
+    res.json({ success: true, deleted });
+  } catch (error) {
+    console.error('Error deleting shop data:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete shop data' });
+  }
+});
+
+// Storefront: Validate cart (app proxy)
+app.post(`${APP_PROXY_PATH}/validate-cart`, requireAppProxy, async (req, res) => {
+  try {
+    const { shop } = req;
+    const items = Array.isArray(req.body.items) ? req.body.items : null;
+
+    if (!items) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing items',
+      });
+    }
+
+    const { policy, settings, currencyCode } = await getShopPolicy(shop);
+
+    const presentmentRate = Number(req.body.presentmentRate);
+    const presentment = {
+      rate: Number.isFinite(presentmentRate) && presentmentRate > 0 ? presentmentRate : 1,
+      currency: typeof req.body.currency === 'string' && req.body.currency
+        ? req.body.currency
+        : currencyCode,
+    };
+
+    // Guests have no history, so windowed rules fall back to a per-order
+    // limit for them.
+    const customer = parseCustomerContext(req.loggedInCustomerId, req.body);
+    const history = customer.id && policy.purchaseWindows.length > 0
+      ? await loadCustomerHistory(shop, customer.id, historyStartForWindows(policy.purchaseWindows))
+      : [];
+
+    const lines = items.map((item) => ({
+      title: item.title,
+      quantity: item.quantity,
+      // line_price is the cart.js final_line_price: presentment currency, in cents.
+      value: (Number(item.line_price) || 0) / 100 / presentment.rate,
+      productId: item.product_id,
+      variantId: item.variant_id,
+    }));
+    const { violations } = evaluateCart(policy, {
+      lines,
+      history,
+      customer,
+    }, {
+      formatMoney: (amount) => formatPresentmentAmount(amount, presentment),
+    });
+    recordValidation(shop);
+    recordCartOutcome(
+      shop,
+      req.body.cartToken,
+      violations,
+      lines.reduce((total, line) => total + line.value, 0)
+    );
+
     res.json({
       success: true,
       valid: violations.length === 0,
@@ -954,17 +1755,17 @@ app.post('/api/validate-cart', async (req, res) => {
   }
 });
 
-// API: Product rule summary for the theme app block
-app.get('/api/storefront/product-rules', async (req, res) => {
+// Storefront: Product rule summary for the theme app block (app proxy)
+app.get(`${APP_PROXY_PATH}/product-rules`, requireAppProxy, async (req, res) => {
   try {
-    const shop = sanitizeShop(req.query.shop, false);
+    const { shop } = req;
     const productId = req.query.productId?.toString();
     const variantId = req.query.variantId?.toString();
 
-    if (!shop || !productId) {
+    if (!productId) {
       return res.status(400).json({
         success: false,
-        error: 'Missing shop or productId',
+        error: 'Missing productId',
       });
     }
 
@@ -987,7 +1788,17 @@ app.get('/api/storefront/product-rules', async (req, res) => {
       });
     }
 
-    const rules = await prisma.rule.findMany({
+    const collectionIds = await listProductCollectionIds(shop, productId);
+    if (collectionIds.length > 0) {
+      ruleTargets.push({
+        ruleType: 'collection',
+        targetId: {
+          in: collectionIds,
+        },
+      });
+    }
+
+    const scheduledRules = await prisma.rule.findMany({
       where: {
         shopId: shop.toString(),
         enabled: true,
@@ -997,21 +1808,40 @@ app.get('/api/storefront/product-rules', async (req, res) => {
         id: true,
         ruleType: true,
         targetId: true,
+        targetTitle: true,
         minQuantity: true,
         maxQuantity: true,
+        stepQuantity: true,
+        aggregation: true,
+        startsAt: true,
+        endsAt: true,
+        audience: true,
+        customerTags: true,
+        priority: true,
+        combination: true,
         message: true,
       },
     });
+    const now = Date.now();
+    const customer = parseCustomerContext(req.loggedInCustomerId, req.query);
+    const rules = scheduledRules.filter((rule) => isRuleActive(rule, now) && matchesAudience(rule, customer));
 
     res.json({
       success: true,
-      ...aggregateProductRuleSummary(rules),
+      ...summarizeProductRules(rules),
       rules: rules.map((rule) => ({
         id: rule.id,
         ruleType: rule.ruleType,
         targetId: rule.targetId,
+        targetTitle: rule.targetTitle,
         minQuantity: rule.minQuantity,
         maxQuantity: rule.maxQuantity,
+        stepQuantity: rule.stepQuantity,
+        aggregation: rule.aggregation,
+        audience: rule.audience,
+        customerTags: rule.customerTags,
+        priority: rule.priority,
+        combination: rule.combination,
         message: rule.message || null,
       })),
     });
@@ -1021,56 +1851,102 @@ app.get('/api/storefront/product-rules', async (req, res) => {
   }
 });
 
-// ===== MANDATORY COMPLIANCE WEBHOOKS =====
+// ===== APP WEBHOOKS =====
+
+// Keeps rules and settings (shop/redact removes them 48 hours later) but
+// drops everything that only makes sense while installed.
+registerWebhookHandler('app/uninstalled', async (shop) => {
+  await prisma.shop.updateMany({
+    where: { id: shop },
+    data: {
+      accessToken: null,
+      grantedScopes: null,
+      subscriptionId: null,
+      subscriptionStatus: null,
+      plan: DEFAULT_PLAN,
+    },
+  });
 
-function verifyWebhook(req) {
-  const hmac = req.get('X-Shopify-Hmac-Sha256');
-  const body = JSON.stringify(req.body);
-  const hash = crypto
-    .createHmac('sha256', process.env.SHOPIFY_API_SECRET)
-    .update(body, 'utf8')
-    .digest('base64');
+  forgetShopRuntimeState(shop);
+});
+
+// ===== END APP WEBHOOKS =====
+
+// ===== BILLING WEBHOOKS =====
+
+registerWebhookHandler('app_subscriptions/update', async (shop, payload) => {
+  await handleSubscriptionUpdate(shop, payload);
+  await enforceShopPlan(shop);
+});
 
-  return hmac === hash;
+// ===== END BILLING WEBHOOKS =====
+
+// ===== CATALOG WEBHOOKS =====
+
+// Refreshes run in the background, since paging a large collection can
+// outlast Shopify's webhook timeout.
+function registerCatalogWebhook(topic, refresh) {
+  registerWebhookHandler(topic, async (shop, payload) => {
+    await refresh(shop, payload);
+    invalidateShopPolicyCache(shop);
+    scheduleCheckoutPolicySync(shop);
+  }, { background: true });
 }
 
-app.post('/webhooks/customers/data_request', express.json(), (req, res) => {
-  if (!verifyWebhook(req)) {
-    return res.status(401).send('Unauthorized');
+registerCatalogWebhook('collections/update', async (shop, payload) => {
+  if (!(await isTrackedCollection(shop, payload.id))) {
+    return;
   }
 
-  console.log('Customer data request:', req.body);
-  res.status(200).send('OK');
+  const session = await getOfflineSession(shop);
+  if (session) {
+    await syncCollectionProducts(session, shop, payload.id);
+  }
 });
 
-app.post('/webhooks/customers/redact', express.json(), (req, res) => {
-  if (!verifyWebhook(req)) {
-    return res.status(401).send('Unauthorized');
+registerCatalogWebhook('collections/delete', async (shop, payload) => {
+  await removeCollection(shop, payload.id);
+});
+
+registerCatalogWebhook('products/update', async (shop, payload) => {
+  const session = await getOfflineSession(shop);
+  if (session) {
+    await syncProductCollections(session, shop, payload.id);
   }
+});
 
-  console.log('Customer redact request:', req.body);
-  res.status(200).send('OK');
+registerCatalogWebhook('products/delete', async (shop, payload) => {
+  await removeProduct(shop, payload.id);
 });
 
-app.post('/webhooks/shop/redact', express.json(), (req, res) => {
-  if (!verifyWebhook(req)) {
-    return res.status(401).send('Unauthorized');
-  }
+// ===== END CATALOG WEBHOOKS =====
 
-  const shopId = req.body.shop_domain;
-  console.log('Shop redact request:', shopId);
+// ===== ORDER WEBHOOKS =====
 
-  prisma.rule.deleteMany({ where: { shopId } })
-    .then(() => prisma.settings.deleteMany({ where: { shopId } }))
-    .then(() => prisma.shop.deleteMany({ where: { id: shopId } }))
-    .then(() => {
-      invalidateShopPolicyCache(shopId);
-      res.status(200).send('OK');
-    })
-    .catch((error) => {
-      console.error('Error deleting shop data:', error);
-      res.status(500).send('Error');
-    });
+registerWebhookHandler('orders/create', async (shop, payload) => {
+  await recordOrder(shop, payload);
+});
+
+registerWebhookHandler('orders/cancelled', async (shop, payload) => {
+  await removeOrder(shop, payload.id);
+});
+
+// ===== END ORDER WEBHOOKS =====
+
+// ===== MANDATORY COMPLIANCE WEBHOOKS =====
+
+registerWebhookHandler('customers/data_request', async (shop, payload, { webhookId }) => {
+  await handleCustomerDataRequest(shop, payload, webhookId);
+});
+
+registerWebhookHandler('customers/redact', async (shop, payload, { webhookId }) => {
+  await handleCustomerRedact(shop, payload, webhookId);
+});
+
+registerWebhookHandler('shop/redact', async (shop) => {
+  const deleted = await eraseShopData(shop);
+  forgetShopRuntimeState(shop);
+  console.log(`Shop redact completed for ${shop}:`, deleted);
 });
 
 // ===== END COMPLIANCE WEBHOOKS =====
@@ -1087,6 +1963,9 @@ async function initializeDatabase() {
 
 app.listen(PORT, async () => {
   await initializeDatabase();
+  resumeScheduledRuleSyncs().catch((error) => {
+    console.error('Error resuming scheduled rule syncs:', error);
+  });
   console.log(`
 ╔════════════════════════════════════════╗
 ║   Order Limits Manager - Running      ║
@@ -1103,7 +1982,19 @@ Next steps:
   `);
 });
 
-process.on('SIGINT', async () => {
+// Hosting platforms stop the app with SIGTERM (Ctrl+C sends SIGINT). Either
+// way batched usage and violation analytics are written out before the
+// process exits; one failing doesn't stop the other.
+async function shutdown() {
+  const results = await Promise.allSettled([flushValidationUsage(), flushViolationEvents()]);
+
+  results
+    .filter((result) => result.status === 'rejected')
+    .forEach((result) => console.error('Error flushing on shutdown:', result.reason));
+
   await prisma.$disconnect();
   process.exit(0);
-});
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
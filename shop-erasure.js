@@ -0,0 +1,37 @@
+import prisma from './prisma.js';
+
+// Everything LimitPro stores for a shop, children before the Shop row. A new
+// model with a shop id must add an entry here so shop/redact and the admin
+// "delete all data" action remove it too.
+const SHOP_DATA_MODELS = [
+  { name: 'rules', erase: (tx, shopId) => tx.rule.deleteMany({ where: { shopId } }) },
+  { name: 'settings', erase: (tx, shopId) => tx.settings.deleteMany({ where: { shopId } }) },
+  { name: 'prepShipments', erase: (tx, shopId) => tx.prepShipment.deleteMany({ where: { shopOrigin: shopId } }) },
+  { name: 'collectionProducts', erase: (tx, shopId) => tx.collectionProduct.deleteMany({ where: { shopId } }) },
+  { name: 'purchaseHistory', erase: (tx, shopId) => tx.purchaseHistory.deleteMany({ where: { shopId } }) },
+  { name: 'validationUsage', erase: (tx, shopId) => tx.validationUsage.deleteMany({ where: { shopId } }) },
+  { name: 'violationEvents', erase: (tx, shopId) => tx.violationEvent.deleteMany({ where: { shopId } }) },
+  { name: 'cartViolations', erase: (tx, shopId) => tx.cartViolation.deleteMany({ where: { shopId } }) },
+  { name: 'auditEntries', erase: (tx, shopId) => tx.auditEntry.deleteMany({ where: { shopId } }) },
+  // Not linked to Shop, and holds customer exports, so it's removed explicitly.
+  { name: 'complianceRequests', erase: (tx, shopId) => tx.complianceRequest.deleteMany({ where: { shopId } }) },
+  { name: 'shop', erase: (tx, shopId) => tx.shop.deleteMany({ where: { id: shopId } }) },
+];
+
+/**
+ * Deletes all of a shop's data in one transaction and returns the number of
+ * rows removed per model. Only deleteMany is used, so running it again for a
+ * shop that is already gone (a redelivered shop/redact) is a no-op.
+ */
+export async function eraseShopData(shopId) {
+  return prisma.$transaction(async (tx) => {
+    const deleted = {};
+
+    for (const model of SHOP_DATA_MODELS) {
+      const { count } = await model.erase(tx, shopId);
+      deleted[model.name] = count;
+    }
+
+    return deleted;
+  });
+}
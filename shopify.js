@@ -1,5 +1,6 @@
-import { shopifyApi, LATEST_API_VERSION } from '@shopify/shopify-api';
+import { shopifyApi, LATEST_API_VERSION, Session } from '@shopify/shopify-api';
 import '@shopify/shopify-api/adapters/node';
+import prisma from './prisma.js';
 
 const DEFAULT_APP_URL = 'https://order-limits-manager-production.up.railway.app';
 
@@ -21,11 +22,66 @@ const appUrl = resolveAppUrl(process.env.SHOPIFY_APP_URL);
 const shopify = shopifyApi({
   apiKey: process.env.SHOPIFY_API_KEY,
   apiSecretKey: process.env.SHOPIFY_API_SECRET,
-  scopes: ['read_products', 'read_themes', 'read_orders'],
+  scopes: ['read_products', 'read_themes', 'read_orders', 'write_validations'],
   hostName: appUrl.host,
   hostScheme: appUrl.protocol.replace(':', ''),
   apiVersion: LATEST_API_VERSION,
   isEmbeddedApp: false,
 });
 
+// A valid myshopify.com domain, or null. Shared by every module that takes a
+// shop from a request.
+export function sanitizeShop(shop) {
+  if (!shop || typeof shop !== 'string') return null;
+
+  try {
+    return shopify.utils.sanitizeShop(shop, false);
+  } catch (error) {
+    return null;
+  }
+}
+
+export async function runAdminQuery(session, query, variables = {}) {
+  const client = new shopify.clients.Graphql({ session });
+  const response = await client.query({
+    data: { query, variables },
+  });
+  const payload = response.body;
+
+  if (payload?.errors?.length) {
+    throw new Error(payload.errors.map((error) => error.message).join(', '));
+  }
+
+  return payload?.data || {};
+}
+
+// Builds the offline Admin API session from the token stored at install, or
+// returns null once the shop has uninstalled.
+export async function getOfflineSession(shop) {
+  const normalizedShop = sanitizeShop(shop);
+  if (!normalizedShop) return null;
+
+  const shopRecord = await prisma.shop.findUnique({
+    where: { id: normalizedShop },
+    select: {
+      id: true,
+      accessToken: true,
+      grantedScopes: true,
+    },
+  });
+
+  if (!shopRecord?.accessToken) {
+    return null;
+  }
+
+  return new Session({
+    id: shopify.session.getOfflineId(shopRecord.id),
+    shop: shopRecord.id,
+    state: 'offline',
+    isOnline: false,
+    scope: shopRecord.grantedScopes || shopify.config.scopes.toString(),
+    accessToken: shopRecord.accessToken,
+  });
+}
+
 export default shopify;
@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { PLAN_LIMIT_REASON, planLimitChanges, ruleEntitlementError } from '../billing.js';
+
+function rule(id, fields = {}) {
+  return { id, ruleType: 'product', enabled: true, disabledReason: null, ...fields };
+}
+
+describe('ruleEntitlementError', () => {
+  test('allows product and variant rules without options on the free plan', () => {
+    assert.equal(ruleEntitlementError('free', rule('a')), null);
+    assert.equal(ruleEntitlementError('free', rule('a', { ruleType: 'variant' })), null);
+  });
+
+  test('names the cheapest plan with a rule type the free plan lacks', () => {
+    assert.equal(ruleEntitlementError('free', rule('a', { ruleType: 'cart' })), 'Cart rules need the Pro plan or higher');
+    assert.equal(ruleEntitlementError('pro', rule('a', { ruleType: 'cart' })), null);
+  });
+
+  test('names the plan for each option the free plan lacks', () => {
+    assert.equal(
+      ruleEntitlementError('free', rule('a', { startsAt: new Date('2026-11-01T00:00:00Z') })),
+      'Scheduled rules need the Pro plan or higher'
+    );
+    assert.equal(
+      ruleEntitlementError('free', rule('a', { customerTags: ['vip'] })),
+      'Customer targeting need the Pro plan or higher'
+    );
+    assert.equal(
+      ruleEntitlementError('free', rule('a', { audience: 'logged_in' })),
+      'Customer targeting need the Pro plan or higher'
+    );
+    assert.equal(
+      ruleEntitlementError('free', rule('a', { purchaseWindow: 30 })),
+      'Purchase history limits need the Pro plan or higher'
+    );
+    assert.equal(ruleEntitlementError('free', rule('a', { audience: 'all', customerTags: [] })), null);
+  });
+
+  test('treats an unknown plan as the free plan', () => {
+    assert.equal(ruleEntitlementError('legacy', rule('a', { ruleType: 'cart' })), 'Cart rules need the Pro plan or higher');
+  });
+});
+
+describe('planLimitChanges', () => {
+  test('a downgrade to free keeps the oldest three allowed rules and disables the rest', () => {
+    const rules = [
+      rule('r1'),
+      rule('r2', { ruleType: 'cart' }),
+      rule('r3'),
+      rule('r4', { ruleType: 'variant' }),
+      rule('r5'),
+      rule('r6', { purchaseWindow: 7 }),
+    ];
+
+    const { toEnable, toDisable, audited } = planLimitChanges('free', rules);
+
+    assert.deepEqual(toEnable, []);
+    assert.deepEqual(toDisable, ['r2', 'r5', 'r6']);
+    assert.deepEqual(
+      audited.map(([before, after]) => [before.id, after.enabled, after.disabledReason]),
+      [['r2', false, PLAN_LIMIT_REASON], ['r5', false, PLAN_LIMIT_REASON], ['r6', false, PLAN_LIMIT_REASON]]
+    );
+  });
+
+  test('leaves a plan with room for every rule unchanged', () => {
+    const rules = [rule('r1'), rule('r2', { ruleType: 'cart' })];
+
+    assert.deepEqual(planLimitChanges('pro', rules), { toEnable: [], toDisable: [], audited: [] });
+  });
+
+  test('an upgrade re-enables rules disabled by the plan limit after the enabled ones', () => {
+    const limited = { enabled: false, disabledReason: PLAN_LIMIT_REASON };
+    const rules = [
+      rule('r1', { ...limited, ruleType: 'cart' }),
+      rule('r2'),
+      rule('r3', limited),
+    ];
+
+    assert.deepEqual(planLimitChanges('plus', rules).toEnable, ['r1', 'r3']);
+
+    const free = planLimitChanges('free', rules);
+    assert.deepEqual(free.toEnable, ['r3']);
+    assert.deepEqual(free.toDisable, []);
+  });
+
+  test('gives rules already enabled priority over limited ones for the quota', () => {
+    const limited = { enabled: false, disabledReason: PLAN_LIMIT_REASON };
+    const rules = [
+      rule('r1', limited),
+      rule('r2'),
+      rule('r3'),
+      rule('r4'),
+    ];
+
+    const { toEnable, toDisable } = planLimitChanges('free', rules);
+
+    assert.deepEqual(toEnable, []);
+    assert.deepEqual(toDisable, []);
+  });
+});
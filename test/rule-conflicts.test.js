@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { findRuleConflicts } from '../rule-conflicts.js';
+
+function cartRule(overrides) {
+  return { id: 'cart', ruleType: 'cart', targetId: null, enabled: true, ...overrides };
+}
+
+const PRODUCT = { id: 'p', ruleType: 'product', targetId: '1', targetTitle: 'Tee', enabled: true, maxQuantity: 3 };
+const VARIANT = { id: 'v', ruleType: 'variant', targetId: '11', targetTitle: 'Tee - Red', enabled: true, minQuantity: 5, maxQuantity: 10 };
+const RELATIONS = { variantProducts: { 11: '1' } };
+const VARIANT_OVER_PRODUCT = {
+  ruleId: 'p',
+  targetTitle: 'Tee',
+  message: 'Variant "Tee - Red" needs at least 5 but product "Tee" allows at most 3',
+};
+
+describe('findRuleConflicts', () => {
+  test('a variant minimum above its product maximum', () => {
+    assert.deepEqual(findRuleConflicts(VARIANT, [PRODUCT], RELATIONS), [VARIANT_OVER_PRODUCT]);
+  });
+
+  test('a variant of another product is unrelated', () => {
+    assert.deepEqual(findRuleConflicts(VARIANT, [PRODUCT], { variantProducts: { 11: '2' } }), []);
+  });
+
+  test('an item minimum above the store-wide cart maximum', () => {
+    assert.deepEqual(findRuleConflicts({ ...PRODUCT, minQuantity: 12, maxQuantity: null }, [], { settings: { globalMaxCart: 10 } }), [
+      { ruleId: null, targetTitle: 'Cart settings', message: 'Product "Tee" needs at least 12 but the store-wide cart limit allows at most 10' },
+    ]);
+  });
+
+  test('rules for audiences that never overlap', () => {
+    assert.deepEqual(findRuleConflicts({ ...VARIANT, audience: 'guest' }, [{ ...PRODUCT, audience: 'logged_in' }], RELATIONS), []);
+    assert.deepEqual(findRuleConflicts({ ...VARIANT, audience: 'guest' }, [{ ...PRODUCT, audience: 'b2b' }], RELATIONS), [VARIANT_OVER_PRODUCT]);
+  });
+
+  test('expired rules and schedules that never overlap', () => {
+    assert.deepEqual(findRuleConflicts(VARIANT, [{ ...PRODUCT, endsAt: '2020-01-01T00:00:00Z' }], RELATIONS), []);
+    assert.deepEqual(findRuleConflicts(
+      { ...VARIANT, startsAt: '2099-02-01T00:00:00Z' },
+      [{ ...PRODUCT, startsAt: '2099-01-01T00:00:00Z', endsAt: '2099-01-15T00:00:00Z' }],
+      RELATIONS,
+    ), []);
+  });
+
+  test('an override rule replaces the limit it would conflict with', () => {
+    assert.deepEqual(findRuleConflicts({ ...VARIANT, combination: 'override' }, [PRODUCT], RELATIONS), []);
+  });
+
+  test('an override rule doesn\'t replace a higher-priority limit', () => {
+    assert.deepEqual(findRuleConflicts({ ...VARIANT, combination: 'override' }, [{ ...PRODUCT, priority: 5 }], RELATIONS), [VARIANT_OVER_PRODUCT]);
+  });
+
+  test('an additive cart rule raises the store-wide maximum', () => {
+    const cart = cartRule({ minQuantity: 8, maxQuantity: 10 });
+    const settings = { globalMaxCart: 5 };
+
+    assert.deepEqual(findRuleConflicts(cart, [], { settings }), [
+      { ruleId: null, targetTitle: 'Cart settings', message: 'The cart-wide rule needs at least 8 but the store-wide cart limit allows at most 5' },
+    ]);
+    assert.deepEqual(findRuleConflicts({ ...cart, combination: 'additive' }, [], { settings }), []);
+  });
+
+  test('minimum product, variant and line counts above the cart maximum', () => {
+    const settings = { globalMinProducts: 3, globalMinVariants: 2, globalMinLines: 4 };
+
+    assert.deepEqual(findRuleConflicts(cartRule({ maxQuantity: 2 }), [], { settings }), [
+      {
+        ruleId: null,
+        targetTitle: 'Cart settings',
+        message: 'The store-wide cart limit needs at least 3 different products but the cart-wide rule allows at most 2 items',
+      },
+      {
+        ruleId: null,
+        targetTitle: 'Cart settings',
+        message: 'The store-wide cart limit needs at least 4 line items but the cart-wide rule allows at most 2 items',
+      },
+    ]);
+  });
+});
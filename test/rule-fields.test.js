@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { parseIntegerField, parseRuleInput, parseSettingsInput } from '../rule-fields.js';
+
+describe('parseIntegerField', () => {
+  test('blank is no limit and "0" is zero', () => {
+    const errors = [];
+
+    assert.equal(parseIntegerField('', 'minQuantity', errors), null);
+    assert.equal(parseIntegerField('  ', 'minQuantity', errors), null);
+    assert.equal(parseIntegerField(null, 'minQuantity', errors), null);
+    assert.equal(parseIntegerField('0', 'minQuantity', errors), 0);
+    assert.deepEqual(errors, []);
+  });
+});
+
+describe('parseRuleInput', () => {
+  function fieldErrors(input) {
+    return parseRuleInput(input).errors;
+  }
+
+  test('a maximum of "0" is refused rather than read as no limit', () => {
+    assert.deepEqual(fieldErrors({ ruleType: 'product', targetId: '1', minQuantity: '2', maxQuantity: '0' }), [
+      { field: 'maxQuantity', message: 'Maximum quantity must be a whole number of at least 1' },
+    ]);
+  });
+
+  test('blank limits are left unset', () => {
+    const { rule, errors } = parseRuleInput({ ruleType: 'product', targetId: '1', minQuantity: '', maxQuantity: '4', minValue: ' ' });
+
+    assert.deepEqual(errors, []);
+    assert.equal(rule.minQuantity, null);
+    assert.equal(rule.maxQuantity, 4);
+    assert.equal(rule.minValue, null);
+  });
+
+  test('a rule needs at least one limit', () => {
+    assert.deepEqual(fieldErrors({ ruleType: 'product', targetId: '1', minQuantity: '0' }), [
+      { field: 'maxQuantity', message: 'Set at least one quantity or spend limit' },
+    ]);
+  });
+
+  test('minimums above their maximums are refused', () => {
+    assert.deepEqual(fieldErrors({ ruleType: 'product', targetId: '1', minQuantity: '5', maxQuantity: '3', minValue: '20', maxValue: '10' }), [
+      { field: 'minQuantity', message: 'Minimum quantity must not be greater than the maximum' },
+      { field: 'minValue', message: 'Minimum spend must not be greater than the maximum' },
+    ]);
+  });
+
+  test('only cart rules may have no target', () => {
+    assert.deepEqual(fieldErrors({ ruleType: 'variant', targetId: null, maxQuantity: '3' }), [
+      { field: 'targetId', message: 'Target is required for variant rules' },
+    ]);
+    assert.equal(parseRuleInput({ ruleType: 'cart', targetId: '5', maxQuantity: '3' }).rule.targetId, null);
+  });
+
+  test('an update only changes the fields it was given', () => {
+    const existing = { ruleType: 'product', targetId: '1', minQuantity: 2, maxQuantity: 6, enabled: true };
+    const { data, rule, errors } = parseRuleInput({ maxQuantity: '8' }, { existing });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(data, { maxQuantity: 8 });
+    assert.equal(rule.minQuantity, 2);
+  });
+});
+
+describe('parseSettingsInput', () => {
+  test('a partial update returns only the fields it was given', () => {
+    const { data, errors } = parseSettingsInput({ globalMaxCart: '12', blockCheckout: false }, { partial: true });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(data, { globalMaxCart: 12, blockCheckout: false });
+  });
+
+  test('a full update clears the limits it wasn\'t given', () => {
+    const { data } = parseSettingsInput({ globalMaxCart: '12' });
+
+    assert.equal(data.globalMaxCart, 12);
+    assert.equal(data.globalMinCart, null);
+    assert.equal(data.globalMaxLines, null);
+  });
+
+  test('a partial minimum is checked against the saved maximum', () => {
+    const existing = { globalMaxCart: 5, globalMaxCartValue: '100.00', globalMaxLines: 3 };
+    const { errors } = parseSettingsInput(
+      { globalMinCart: '6', globalMinCartValue: '150', globalMinLines: '2' },
+      { partial: true, existing },
+    );
+
+    assert.deepEqual(errors.map((error) => error.field), ['globalMinCart', 'globalMinCartValue']);
+  });
+});
@@ -0,0 +1,144 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { matchImportRows, parseImportFile, toCsv } from '../rule-transfer.js';
+
+const SETTINGS = {
+  globalMinCart: 2,
+  globalMaxCart: null,
+  globalMinCartValue: 10.5,
+  globalMaxCartValue: null,
+  globalMinProducts: null,
+  globalMaxProducts: 3,
+  globalMinVariants: null,
+  globalMaxVariants: null,
+  globalMinLines: null,
+  globalMaxLines: null,
+  showCartWarning: true,
+  blockCheckout: false,
+  customMessageEnabled: false,
+};
+
+function exportedRule(overrides) {
+  return {
+    id: 'rule-1',
+    ruleType: 'product',
+    targetId: '1',
+    targetTitle: 'Tee',
+    minQuantity: null,
+    maxQuantity: 5,
+    stepQuantity: null,
+    minValue: null,
+    maxValue: null,
+    aggregation: 'per_item',
+    purchaseWindow: null,
+    startsAt: null,
+    endsAt: null,
+    audience: 'all',
+    customerTags: [],
+    priority: 0,
+    combination: 'restrictive',
+    enabled: true,
+    message: null,
+    ...overrides,
+  };
+}
+
+describe('parseImportFile (CSV)', () => {
+  test('quoted fields keep commas, doubled quotes and newlines', () => {
+    const csv = [
+      'record,ruleType,targetId,targetTitle,maxQuantity,message',
+      'rule,product,1,"Tee, large","5","Say ""hi""',
+      'to the team"',
+      'rule,cart,,,10,',
+    ].join('\r\n');
+
+    const { rules, settings } = parseImportFile('csv', csv);
+
+    assert.equal(settings, null);
+    assert.deepEqual(rules.map((rule) => rule.row), [2, 3]);
+    assert.equal(rules[0].values.targetTitle, 'Tee, large');
+    assert.equal(rules[0].values.message, 'Say "hi"\r\nto the team');
+    assert.equal(rules[1].values.targetId, '');
+  });
+
+  test('setting rows are collected apart from rules', () => {
+    const csv = 'record,ruleType,setting,value\nsetting,,globalMaxCart,12\nrule,cart,,\n';
+
+    assert.deepEqual(parseImportFile('csv', csv), {
+      rules: [{ row: 3, values: { record: 'rule', ruleType: 'cart', setting: '', value: '' } }],
+      settings: { globalMaxCart: '12' },
+    });
+  });
+
+  test('a file without a ruleType column is refused', () => {
+    assert.ok(parseImportFile('csv', 'id,maxQuantity\n1,2\n').error);
+  });
+});
+
+describe('toCsv', () => {
+  test('round-trips through parseImportFile', () => {
+    const rule = exportedRule({
+      targetTitle: 'Tee, "limited"',
+      customerTags: ['vip', 'wholesale'],
+      minValue: 12.5,
+      message: 'Two lines,\nwith a comma',
+    });
+    const cartRule = exportedRule({ id: 'rule-2', ruleType: 'cart', targetId: null, targetTitle: null, enabled: false });
+
+    const parsed = parseImportFile('csv', toCsv({ rules: [rule, cartRule], settings: SETTINGS }));
+    const asCell = (value) => (value === null ? '' : Array.isArray(value) ? value.join(', ') : String(value));
+
+    assert.deepEqual(parsed.rules.map(({ values }) => values.id), ['rule-1', 'rule-2']);
+    for (const [index, exported] of [rule, cartRule].entries()) {
+      for (const [field, value] of Object.entries(exported)) {
+        assert.equal(parsed.rules[index].values[field], asCell(value), field);
+      }
+    }
+    assert.deepEqual(parsed.settings, Object.fromEntries(Object.entries(SETTINGS).map(([field, value]) => [field, asCell(value)])));
+  });
+});
+
+describe('matchImportRows', () => {
+  const savedRules = [
+    exportedRule({}),
+    exportedRule({ id: 'rule-2', ruleType: 'cart', targetId: null, targetTitle: null, maxQuantity: 20 }),
+  ];
+
+  test('rows match saved rules by id, then by type and target', () => {
+    const rows = [
+      { row: 1, id: 'rule-1', rule: exportedRule({ maxQuantity: 8 }) },
+      { row: 2, id: null, rule: exportedRule({ id: undefined, ruleType: 'cart', targetId: null, targetTitle: null, maxQuantity: 20 }) },
+      { row: 3, id: null, rule: exportedRule({ id: undefined, targetId: '2', targetTitle: 'Mug' }) },
+    ];
+
+    const { errors, creates, updates, deletes, unchanged } = matchImportRows(savedRules, rows);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(updates.map(({ row, id, fields }) => ({ row, id, fields })), [{ row: 1, id: 'rule-1', fields: ['maxQuantity'] }]);
+    assert.equal(unchanged, 1);
+    assert.deepEqual(creates.map(({ row }) => row), [3]);
+    assert.deepEqual(deletes, []);
+  });
+
+  test('replace mode deletes the saved rules the file leaves out', () => {
+    const rows = [{ row: 1, id: 'rule-1', rule: exportedRule({}) }];
+
+    assert.deepEqual(matchImportRows(savedRules, rows, 'replace').deletes.map((rule) => rule.id), ['rule-2']);
+  });
+
+  test('a row may not change the type, target, counting or purchase window of its rule', () => {
+    const rows = [
+      { row: 1, id: 'rule-1', rule: exportedRule({ ruleType: 'variant', targetId: '11', aggregation: 'per_item' }) },
+      { row: 2, id: 'rule-2', rule: exportedRule({ ruleType: 'cart', targetId: null, targetTitle: null, maxQuantity: 10, purchaseWindow: 'week' }) },
+    ];
+
+    const { errors, updates } = matchImportRows(savedRules, rows);
+
+    assert.deepEqual(errors.map(({ row, field }) => ({ row, field })), [
+      { row: 1, field: 'ruleType' },
+      { row: 1, field: 'targetId' },
+      { row: 2, field: 'purchaseWindow' },
+    ]);
+    assert.deepEqual(updates, []);
+  });
+});
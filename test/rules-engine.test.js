@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import {
+  compilePolicy,
+  evaluateCart,
+  evaluateProductQuantity,
+  resolveRulePrecedence,
+  summarizeProductRules,
+} from '../rules-engine.js';
+
+// Each fixture file is a list of cases: a name, the engine input and the
+// expected output. Instants are ISO strings in the fixtures and reach the
+// engine as timestamps, like the server passes them.
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'rules-engine');
+
+function loadFixtures(name) {
+  return JSON.parse(fs.readFileSync(path.join(fixturesDir, `${name}.json`), 'utf8'));
+}
+
+function timestamp(value) {
+  return value === undefined ? undefined : Date.parse(value);
+}
+
+describe('evaluateCart', () => {
+  for (const fixture of loadFixtures('evaluate-cart')) {
+    test(fixture.name, () => {
+      const policy = compilePolicy({ ...fixture.policy, now: timestamp(fixture.policy.now) });
+      const options = { ...fixture.options, now: timestamp(fixture.options?.now) };
+
+      assert.deepEqual(evaluateCart(policy, fixture.cart, options), fixture.expected);
+    });
+  }
+});
+
+describe('resolveRulePrecedence', () => {
+  for (const fixture of loadFixtures('resolve-rule-precedence')) {
+    test(fixture.name, () => {
+      assert.deepEqual(resolveRulePrecedence(fixture.rules), fixture.expected);
+    });
+  }
+});
+
+describe('summarizeProductRules', () => {
+  for (const fixture of loadFixtures('summarize-product-rules')) {
+    test(fixture.name, () => {
+      assert.deepEqual(summarizeProductRules(fixture.rules), fixture.expected);
+    });
+  }
+});
+
+describe('evaluateProductQuantity', () => {
+  for (const fixture of loadFixtures('evaluate-product-quantity')) {
+    test(fixture.name, () => {
+      assert.deepEqual(evaluateProductQuantity(fixture.rules, fixture.quantity, fixture.options), fixture.expected);
+    });
+  }
+});
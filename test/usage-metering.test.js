@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { billingPeriod } from '../usage-metering.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function period(currentPeriodEnd, now) {
+  const { start, end } = billingPeriod(currentPeriodEnd, Date.parse(now));
+  return [start.toISOString(), end.toISOString()];
+}
+
+describe('billingPeriod', () => {
+  const periodEnd = new Date('2026-10-20T12:00:00.000Z');
+
+  test('is the 30 days ending at currentPeriodEnd before the anniversary', () => {
+    assert.deepEqual(period(periodEnd, '2026-10-20T11:59:59.999Z'), [
+      '2026-09-20T12:00:00.000Z',
+      '2026-10-20T12:00:00.000Z',
+    ]);
+    assert.deepEqual(period(periodEnd, '2026-09-20T12:00:00.000Z'), [
+      '2026-09-20T12:00:00.000Z',
+      '2026-10-20T12:00:00.000Z',
+    ]);
+  });
+
+  test('starts the next period on the anniversary itself', () => {
+    assert.deepEqual(period(periodEnd, '2026-10-20T12:00:00.000Z'), [
+      '2026-10-20T12:00:00.000Z',
+      '2026-11-19T12:00:00.000Z',
+    ]);
+  });
+
+  test('rolls a stale currentPeriodEnd forward by whole periods', () => {
+    const now = periodEnd.getTime() + 65 * DAY_MS;
+
+    assert.deepEqual(period(periodEnd, new Date(now).toISOString()), [
+      '2026-12-19T12:00:00.000Z',
+      '2027-01-18T12:00:00.000Z',
+    ]);
+  });
+
+  test('accepts currentPeriodEnd as a string', () => {
+    assert.deepEqual(period('2026-10-20T12:00:00.000Z', '2026-10-01T00:00:00.000Z'), [
+      '2026-09-20T12:00:00.000Z',
+      '2026-10-20T12:00:00.000Z',
+    ]);
+  });
+
+  test('uses the UTC calendar month without a subscription', () => {
+    assert.deepEqual(period(null, '2026-10-31T23:59:59.999Z'), [
+      '2026-10-01T00:00:00.000Z',
+      '2026-11-01T00:00:00.000Z',
+    ]);
+    assert.deepEqual(period(null, '2026-11-01T00:00:00.000Z'), [
+      '2026-11-01T00:00:00.000Z',
+      '2026-12-01T00:00:00.000Z',
+    ]);
+  });
+
+  test('handles February and the turn of the year', () => {
+    assert.deepEqual(period(null, '2028-02-29T08:00:00.000Z'), [
+      '2028-02-01T00:00:00.000Z',
+      '2028-03-01T00:00:00.000Z',
+    ]);
+    assert.deepEqual(period(null, '2026-12-31T23:00:00.000Z'), [
+      '2026-12-01T00:00:00.000Z',
+      '2027-01-01T00:00:00.000Z',
+    ]);
+  });
+});
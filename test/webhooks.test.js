@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { describe, test } from 'node:test';
+import { handleWebhook, registerWebhookHandler, verifyWebhookHmac } from '../webhooks.js';
+
+const body = Buffer.from(JSON.stringify({ id: 1, shop_domain: 'example.myshopify.com' }));
+
+function sign(bytes, secret = process.env.SHOPIFY_API_SECRET) {
+  return crypto.createHmac('sha256', secret).update(bytes).digest('base64');
+}
+
+function webhookRequest(topic, rawBody, hmac) {
+  const headers = {
+    'x-shopify-topic': topic,
+    'x-shopify-hmac-sha256': hmac,
+    'x-shopify-shop-domain': 'example.myshopify.com',
+  };
+
+  return { body: rawBody, get: (name) => headers[name.toLowerCase()] };
+}
+
+function webhookResponse() {
+  return {
+    statusCode: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    send() {
+      return this;
+    },
+  };
+}
+
+describe('verifyWebhookHmac', () => {
+  test('accepts the signature of the exact bytes sent', () => {
+    assert.equal(verifyWebhookHmac(body, sign(body)), true);
+  });
+
+  test('rejects a tampered body', () => {
+    const tampered = Buffer.from(body.toString('utf8').replace('"id":1', '"id":2'));
+
+    assert.equal(verifyWebhookHmac(tampered, sign(body)), false);
+  });
+
+  test('rejects a signature made with another secret', () => {
+    assert.equal(verifyWebhookHmac(body, sign(body, 'another-secret')), false);
+  });
+
+  test('rejects a missing, truncated or parsed body signature', () => {
+    assert.equal(verifyWebhookHmac(body, undefined), false);
+    assert.equal(verifyWebhookHmac(body, ''), false);
+    assert.equal(verifyWebhookHmac(body, sign(body).slice(0, 20)), false);
+    assert.equal(verifyWebhookHmac(JSON.parse(body.toString('utf8')), sign(body)), false);
+  });
+});
+
+describe('handleWebhook', () => {
+  const calls = [];
+
+  registerWebhookHandler('test/signed', async (shop, payload, context) => {
+    calls.push(context.topic);
+  });
+
+  test('runs the handler for a valid signature', async () => {
+    calls.length = 0;
+    const res = webhookResponse();
+
+    await handleWebhook(webhookRequest('test/signed', body, sign(body)), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(calls, ['test/signed']);
+  });
+
+  test('answers 401 without running a handler for a tampered body', async () => {
+    calls.length = 0;
+    const res = webhookResponse();
+    const tampered = Buffer.from(body.toString('utf8').replace('"id":1', '"id":2'));
+
+    await handleWebhook(webhookRequest('test/signed', tampered, sign(body)), res);
+
+    assert.equal(res.statusCode, 401);
+    assert.deepEqual(calls, []);
+  });
+
+  test('answers 401 whatever the topic when the signature is wrong', async () => {
+    calls.length = 0;
+    const res = webhookResponse();
+
+    await handleWebhook(webhookRequest('test/signed', body, sign(body, 'another-secret')), res);
+
+    assert.equal(res.statusCode, 401);
+    assert.deepEqual(calls, []);
+  });
+
+  test('does not route a signed body to the handler of a changed topic', async () => {
+    calls.length = 0;
+    const res = webhookResponse();
+
+    await handleWebhook(webhookRequest('test/unregistered', body, sign(body)), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(calls, []);
+  });
+});
@@ -0,0 +1,210 @@
+import prisma from './prisma.js';
+import { getOfflineSession, runAdminQuery } from './shopify.js';
+import { getUsagePricing } from './billing.js';
+
+// Storefront cart validations are counted in memory and written out in
+// batches, so the busiest route in the app doesn't do a database write per
+// request. A crash loses at most one interval of counts, which only ever
+// under-bills.
+const USAGE_FLUSH_INTERVAL_MS = Number(process.env.USAGE_FLUSH_INTERVAL_MS || 60000);
+const BILLING_PERIOD_MS = 30 * 24 * 60 * 60 * 1000;
+const pendingValidations = new Map();
+let flushTimer = null;
+let flushInProgress = null;
+
+const APP_USAGE_RECORD_CREATE_MUTATION = `
+  mutation LimitProUsageRecordCreate(
+    $subscriptionLineItemId: ID!
+    $price: MoneyInput!
+    $description: String!
+    $idempotencyKey: String
+  ) {
+    appUsageRecordCreate(
+      subscriptionLineItemId: $subscriptionLineItemId
+      price: $price
+      description: $description
+      idempotencyKey: $idempotencyKey
+    ) {
+      appUsageRecord {
+        id
+        price {
+          amount
+        }
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+// Subscriptions bill usage per 30 day period ending at currentPeriodEnd,
+// which may be a few periods stale between syncs. Shops without one are
+// metered per calendar month (UTC).
+export function billingPeriod(currentPeriodEnd, now = Date.now()) {
+  if (currentPeriodEnd) {
+    let end = new Date(currentPeriodEnd).getTime();
+    end += (Math.floor((now - end) / BILLING_PERIOD_MS) + 1) * BILLING_PERIOD_MS;
+    return { start: new Date(end - BILLING_PERIOD_MS), end: new Date(end) };
+  }
+
+  const date = new Date(now);
+  return {
+    start: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)),
+    end: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)),
+  };
+}
+
+export function recordValidation(shopId) {
+  pendingValidations.set(shopId, (pendingValidations.get(shopId) || 0) + 1);
+
+  if (!flushTimer) {
+    flushTimer = setTimeout(() => {
+      flushValidationUsage().catch((error) => {
+        console.error('Error flushing validation usage:', error);
+      });
+    }, USAGE_FLUSH_INTERVAL_MS);
+  }
+}
+
+async function addValidations(shopId, count) {
+  const shop = await prisma.shop.findUnique({
+    where: { id: shopId },
+    select: {
+      plan: true,
+      usageLineItemId: true,
+      currentPeriodEnd: true,
+    },
+  });
+
+  if (!shop) return null;
+
+  const period = billingPeriod(shop.currentPeriodEnd);
+  const usage = await prisma.validationUsage.upsert({
+    where: { shopId_periodStart: { shopId, periodStart: period.start } },
+    update: { validations: { increment: count } },
+    create: {
+      shopId,
+      periodStart: period.start,
+      periodEnd: period.end,
+      validations: count,
+    },
+  });
+
+  return { shop, usage };
+}
+
+/**
+ * Charges the blocks of validations beyond the plan's allowance that haven't
+ * been reported yet, clamped to what is left under the capped amount. The
+ * idempotency key is the point billing resumes from, so a retry after the
+ * charge went through but the database write didn't can't charge twice.
+ */
+async function reportUsage(shopId, shop, usage) {
+  const pricing = getUsagePricing(shop.plan);
+  if (!pricing || !shop.usageLineItemId) return;
+
+  const billableBlocks = Math.floor(
+    Math.max(usage.validations - pricing.includedValidations, 0) / pricing.blockSize
+  );
+  const newBlocks = billableBlocks - usage.billedBlocks;
+  const amount = Math.round(Math.min(
+    newBlocks * pricing.pricePerBlock,
+    pricing.cappedAmount - Number(usage.billedAmount)
+  ) * 100) / 100;
+
+  if (newBlocks <= 0 || amount <= 0) return;
+
+  const session = await getOfflineSession(shopId);
+  if (!session) return;
+
+  const data = await runAdminQuery(session, APP_USAGE_RECORD_CREATE_MUTATION, {
+    subscriptionLineItemId: shop.usageLineItemId,
+    price: { amount, currencyCode: pricing.currencyCode },
+    description: `${newBlocks * pricing.blockSize} storefront cart validations beyond the ${pricing.includedValidations} included`,
+    idempotencyKey: `${usage.id}:${usage.billedBlocks}`,
+  });
+  const { appUsageRecord, userErrors } = data.appUsageRecordCreate || {};
+
+  if (userErrors?.length) {
+    throw new Error(`appUsageRecordCreate failed: ${userErrors.map((error) => error.message).join(', ')}`);
+  }
+
+  await prisma.validationUsage.update({
+    where: { id: usage.id },
+    data: {
+      billedBlocks: billableBlocks,
+      billedAmount: { increment: Number(appUsageRecord?.price?.amount ?? amount) },
+    },
+  });
+}
+
+async function flushPendingValidations() {
+  const counts = [...pendingValidations];
+  pendingValidations.clear();
+
+  for (const [shopId, count] of counts) {
+    let recorded;
+
+    try {
+      recorded = await addValidations(shopId, count);
+    } catch (error) {
+      // Counted again with the next batch.
+      pendingValidations.set(shopId, (pendingValidations.get(shopId) || 0) + count);
+      console.error(`Error recording validation usage for ${shopId}:`, error);
+      continue;
+    }
+
+    try {
+      if (recorded) {
+        await reportUsage(shopId, recorded.shop, recorded.usage);
+      }
+    } catch (error) {
+      // Unbilled blocks are picked up on the next flush.
+      console.error(`Error reporting usage charges for ${shopId}:`, error);
+    }
+  }
+}
+
+// Writes out the counted validations and reports any new usage charges.
+// Also called on shutdown.
+export async function flushValidationUsage() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  // A running flush took its batch when it started, so counts recorded since
+  // need a flush of their own once it's done.
+  while (flushInProgress) {
+    await flushInProgress;
+  }
+
+  if (!pendingValidations.size) return;
+
+  flushInProgress = flushPendingValidations().finally(() => {
+    flushInProgress = null;
+  });
+  await flushInProgress;
+}
+
+export async function getUsageSummary(shopId) {
+  const shop = await prisma.shop.findUnique({
+    where: { id: shopId },
+    select: {
+      plan: true,
+      currentPeriodEnd: true,
+    },
+  });
+  const period = billingPeriod(shop?.currentPeriodEnd);
+  const usage = await prisma.validationUsage.findUnique({
+    where: { shopId_periodStart: { shopId, periodStart: period.start } },
+  });
+
+  return {
+    periodStart: period.start,
+    periodEnd: period.end,
+    validations: (usage?.validations || 0) + (pendingValidations.get(shopId) || 0),
+    billedAmount: Number(usage?.billedAmount || 0),
+    pricing: getUsagePricing(shop?.plan),
+  };
+}
@@ -0,0 +1,348 @@
+import crypto from 'crypto';
+import prisma from './prisma.js';
+
+// Violation analytics. Like usage metering, storefront validations are
+// collected in memory and written in batches, so the cart route stays free of
+// database writes. Analytics can afford to lose a batch on a crash.
+const ANALYTICS_FLUSH_INTERVAL_MS = Number(process.env.ANALYTICS_FLUSH_INTERVAL_MS || 60000);
+const ANALYTICS_RETENTION_DAYS = 90;
+const PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Past this many carts per batch, new ones are dropped until the next flush.
+// Passing carts have their own cap, so ordinary traffic can't crowd out the
+// blocked carts the reports are about.
+const MAX_PENDING_CARTS = 10000;
+const MAX_PENDING_PASSED_CARTS = 10000;
+const TOP_LIMIT = 10;
+export const ANALYTICS_PERIODS = [7, 30, 90];
+
+// Carts blocked in this batch, and carts that passed without being blocked
+// in it (they may have been blocked in an earlier one).
+const pendingCarts = new Map();
+const pendingPassedCarts = new Map();
+let flushTimer = null;
+let flushInProgress = null;
+let lastPrunedAt = 0;
+
+function cartKeyFor(shopId, cartToken) {
+  return crypto.createHash('sha256').update(`${shopId}:${cartToken}`).digest('hex');
+}
+
+function eventKeyFor(violation) {
+  return `${violation.ruleId || 'settings'}:${violation.type}:${violation.productId || ''}`;
+}
+
+function scheduleFlush() {
+  if (!flushTimer) {
+    flushTimer = setTimeout(() => {
+      flushViolationEvents().catch((error) => {
+        console.error('Error flushing violation events:', error);
+      });
+    }, ANALYTICS_FLUSH_INTERVAL_MS);
+  }
+}
+
+/**
+ * Notes the outcome of one storefront validation. A cart that breaks a limit
+ * is recorded with what it hit and its value (shop currency); a later passing
+ * validation of the same cart marks it fixed. Carts without a token (old theme
+ * versions) can't be followed and are skipped.
+ */
+export function recordCartOutcome(shopId, cartToken, violations, cartValue) {
+  if (typeof cartToken !== 'string' || !cartToken) return;
+
+  const cartKey = cartKeyFor(shopId, cartToken);
+  const key = `${shopId}:${cartKey}`;
+  let cart = pendingCarts.get(key);
+  const now = new Date();
+
+  if (!violations.length) {
+    if (cart) {
+      cart.fixedAt = now;
+    } else if (pendingPassedCarts.size < MAX_PENDING_PASSED_CARTS) {
+      pendingPassedCarts.set(key, { shopId, cartKey });
+    }
+  } else {
+    if (!cart) {
+      if (pendingCarts.size >= MAX_PENDING_CARTS) return;
+
+      cart = { shopId, cartKey, events: new Map(), firstViolatedAt: null, lastViolatedAt: null, fixedAt: null };
+      pendingCarts.set(key, cart);
+      // Blocked again after passing earlier in this batch.
+      pendingPassedCarts.delete(key);
+    }
+
+    cart.fixedAt = null;
+    cart.cartValue = cartValue;
+    cart.firstViolatedAt = cart.firstViolatedAt || now;
+    cart.lastViolatedAt = now;
+
+    for (const violation of violations) {
+      const eventKey = eventKeyFor(violation);
+      const event = cart.events.get(eventKey);
+
+      if (event) {
+        event.hits += 1;
+      } else {
+        cart.events.set(eventKey, {
+          ruleId: violation.ruleId || null,
+          type: violation.type,
+          productId: violation.productId || null,
+          variantId: violation.variantId || null,
+          title: violation.item || null,
+          hits: 1,
+        });
+      }
+    }
+  }
+
+  scheduleFlush();
+}
+
+async function saveBlockedCart(cart) {
+  const { shopId, cartKey, cartValue, firstViolatedAt, lastViolatedAt, fixedAt } = cart;
+  const record = await prisma.cartViolation.upsert({
+    where: { shopId_cartKey: { shopId, cartKey } },
+    // Blocked again after being fixed reopens the cart.
+    update: { cartValue, lastSeenAt: lastViolatedAt, resolvedAt: fixedAt },
+    create: {
+      shopId,
+      cartKey,
+      cartValue,
+      firstSeenAt: firstViolatedAt,
+      lastSeenAt: lastViolatedAt,
+      resolvedAt: fixedAt,
+    },
+    select: { id: true },
+  });
+
+  for (const [eventKey, event] of cart.events) {
+    await prisma.violationEvent.upsert({
+      where: { cartViolationId_eventKey: { cartViolationId: record.id, eventKey } },
+      update: { hits: { increment: event.hits }, lastSeenAt: lastViolatedAt },
+      create: {
+        ...event,
+        cartViolationId: record.id,
+        shopId,
+        eventKey,
+        firstSeenAt: firstViolatedAt,
+        lastSeenAt: lastViolatedAt,
+      },
+    });
+  }
+}
+
+async function flushPendingCarts() {
+  const carts = [...pendingCarts.values()];
+  const passedCarts = [...pendingPassedCarts.values()];
+  const fixedCartKeys = new Map();
+  pendingCarts.clear();
+  pendingPassedCarts.clear();
+
+  for (const { shopId, cartKey } of passedCarts) {
+    if (!fixedCartKeys.has(shopId)) fixedCartKeys.set(shopId, []);
+    fixedCartKeys.get(shopId).push(cartKey);
+  }
+
+  for (const cart of carts) {
+    try {
+      await saveBlockedCart(cart);
+    } catch (error) {
+      console.error(`Error recording violations for ${cart.shopId}:`, error);
+    }
+  }
+
+  // Most passing carts were never blocked; one query per shop finds the few
+  // that were.
+  for (const [shopId, cartKeys] of fixedCartKeys) {
+    try {
+      await prisma.cartViolation.updateMany({
+        where: { shopId, cartKey: { in: cartKeys }, resolvedAt: null },
+        data: { resolvedAt: new Date() },
+      });
+    } catch (error) {
+      console.error(`Error resolving blocked carts for ${shopId}:`, error);
+    }
+  }
+
+  // Events go with their cart (cascade).
+  if (Date.now() - lastPrunedAt > PRUNE_INTERVAL_MS) {
+    lastPrunedAt = Date.now();
+
+    try {
+      await prisma.cartViolation.deleteMany({
+        where: { lastSeenAt: { lt: new Date(Date.now() - ANALYTICS_RETENTION_DAYS * DAY_MS) } },
+      });
+    } catch (error) {
+      console.error('Error pruning violation analytics:', error);
+    }
+  }
+}
+
+// Writes out the collected cart outcomes. Also called on shutdown.
+export async function flushViolationEvents() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  // A running flush took its batch when it started; outcomes recorded since
+  // are written by a flush of their own once it's done.
+  while (flushInProgress) {
+    await flushInProgress;
+  }
+
+  if (!pendingCarts.size && !pendingPassedCarts.size) return;
+
+  flushInProgress = flushPendingCarts().finally(() => {
+    flushInProgress = null;
+  });
+  await flushInProgress;
+}
+
+function dayKey(date, timeZone) {
+  // en-CA formats as YYYY-MM-DD.
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+}
+
+function fixRate(fixed, total) {
+  return total ? Math.round((fixed / total) * 1000) / 10 : null;
+}
+
+// A cart has one event per rule, type and product it broke, so events are
+// grouped by cart as well and rolled up here to distinct carts per key.
+function countCarts(groups, keyOf) {
+  const totals = new Map();
+
+  for (const group of groups) {
+    const key = keyOf(group);
+    const entry = totals.get(key) || { ...group, carts: 0, hits: 0 };
+    entry.carts += 1;
+    entry.hits += group._sum?.hits || 0;
+    totals.set(key, entry);
+  }
+
+  return [...totals.values()].sort((a, b) => b.carts - a.carts);
+}
+
+function ruleKey(group) {
+  return `${group.ruleId}:${group.type}`;
+}
+
+/**
+ * Violation analytics for carts first blocked in the last `days` days:
+ * totals, blocked cart value per day (in the shop's timezone), the rules and
+ * products that blocked the most carts, and how often shoppers fixed their
+ * cart afterwards. Money is in the shop currency (currencyCode, null until
+ * the shop record has synced).
+ */
+export async function getViolationAnalytics(shopId, { days = 30, timezone = 'UTC' } = {}) {
+  const since = new Date(Date.now() - days * DAY_MS);
+  const inPeriod = { shopId, cartViolation: { firstSeenAt: { gte: since } } };
+  const [shopRecord, carts, ruleGroups, fixedRuleGroups, productGroups] = await Promise.all([
+    prisma.shop.findUnique({ where: { id: shopId }, select: { currencyCode: true } }),
+    prisma.cartViolation.findMany({
+      where: { shopId, firstSeenAt: { gte: since } },
+      select: { cartValue: true, firstSeenAt: true, resolvedAt: true },
+    }),
+    prisma.violationEvent.groupBy({
+      by: ['ruleId', 'type', 'cartViolationId'],
+      where: inPeriod,
+      _sum: { hits: true },
+    }),
+    prisma.violationEvent.groupBy({
+      by: ['ruleId', 'type', 'cartViolationId'],
+      where: { shopId, cartViolation: { firstSeenAt: { gte: since }, resolvedAt: { not: null } } },
+    }),
+    prisma.violationEvent.groupBy({
+      by: ['productId', 'cartViolationId'],
+      where: { ...inPeriod, productId: { not: null } },
+      _sum: { hits: true },
+    }),
+  ]);
+
+  const timeline = new Map();
+  for (let day = days - 1; day >= 0; day -= 1) {
+    timeline.set(dayKey(new Date(Date.now() - day * DAY_MS), timezone), {
+      blockedCarts: 0,
+      fixedCarts: 0,
+      blockedValue: 0,
+      recoveredValue: 0,
+    });
+  }
+
+  const totals = { blockedCarts: 0, fixedCarts: 0, blockedValue: 0, recoveredValue: 0 };
+
+  for (const cart of carts) {
+    const value = Number(cart.cartValue);
+    const point = timeline.get(dayKey(cart.firstSeenAt, timezone));
+
+    for (const bucket of [totals, point].filter(Boolean)) {
+      bucket.blockedCarts += 1;
+      bucket.blockedValue += value;
+
+      if (cart.resolvedAt) {
+        bucket.fixedCarts += 1;
+        bucket.recoveredValue += value;
+      }
+    }
+  }
+
+  const fixedByRule = new Map(countCarts(fixedRuleGroups, ruleKey).map((entry) => [ruleKey(entry), entry.carts]));
+  const topRules = countCarts(ruleGroups, ruleKey).slice(0, TOP_LIMIT);
+  const topProducts = countCarts(productGroups, (group) => group.productId).slice(0, TOP_LIMIT);
+  const ruleIds = topRules.map((entry) => entry.ruleId).filter(Boolean);
+  const productIds = topProducts.map((entry) => entry.productId);
+  const [rules, productTitles] = await Promise.all([
+    prisma.rule.findMany({
+      where: { shopId, id: { in: ruleIds } },
+      select: { id: true, ruleType: true, targetTitle: true, enabled: true },
+    }),
+    prisma.violationEvent.findMany({
+      where: { shopId, productId: { in: productIds }, title: { not: null } },
+      distinct: ['productId'],
+      orderBy: { lastSeenAt: 'desc' },
+      select: { productId: true, title: true },
+    }),
+  ]);
+  const rulesById = new Map(rules.map((rule) => [rule.id, rule]));
+  const titlesByProduct = new Map(productTitles.map((entry) => [entry.productId, entry.title]));
+  const round = (amount) => Math.round(amount * 100) / 100;
+
+  return {
+    days,
+    since,
+    currencyCode: shopRecord?.currencyCode || null,
+    summary: {
+      blockedCarts: totals.blockedCarts,
+      fixedCarts: totals.fixedCarts,
+      fixRate: fixRate(totals.fixedCarts, totals.blockedCarts),
+      blockedValue: round(totals.blockedValue),
+      recoveredValue: round(totals.recoveredValue),
+    },
+    timeline: [...timeline].map(([date, point]) => ({
+      date,
+      ...point,
+      blockedValue: round(point.blockedValue),
+      recoveredValue: round(point.recoveredValue),
+    })),
+    topRules: topRules.map((entry) => ({
+      ruleId: entry.ruleId,
+      type: entry.type,
+      // Null ruleId is the store-wide cart settings; a missing rule was deleted.
+      rule: entry.ruleId ? rulesById.get(entry.ruleId) || null : null,
+      carts: entry.carts,
+      hits: entry.hits,
+      fixRate: fixRate(fixedByRule.get(ruleKey(entry)) || 0, entry.carts),
+    })),
+    topProducts: topProducts.map((entry) => ({
+      productId: entry.productId,
+      title: titlesByProduct.get(entry.productId) || null,
+      carts: entry.carts,
+      hits: entry.hits,
+    })),
+  };
+}
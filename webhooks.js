@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+import express from 'express';
+import { sanitizeShop } from './shopify.js';
+
+// Shopify webhooks. Every topic is delivered to the same dispatcher, which
+// verifies the HMAC against the exact bytes Shopify sent and routes on the
+// X-Shopify-Topic header, so the URL a topic is subscribed on doesn't matter.
+const handlers = new Map();
+
+// Must run instead of express.json(): re-serialising a parsed body doesn't
+// reproduce Shopify's bytes and breaks the HMAC.
+export const webhookRawBody = express.raw({ type: '*/*', limit: '5mb' });
+
+export function verifyWebhookHmac(rawBody, hmacHeader) {
+  if (!Buffer.isBuffer(rawBody) || typeof hmacHeader !== 'string' || !hmacHeader) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', process.env.SHOPIFY_API_SECRET)
+    .update(rawBody)
+    .digest();
+  const received = Buffer.from(hmacHeader, 'base64');
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Registers the handler for a topic: handler(shop, payload, context).
+ *
+ * By default the webhook is acknowledged once the handler resolves and a
+ * failure answers 500 so Shopify retries. With { background: true } it is
+ * acknowledged first, for work that can outlast Shopify's 5 second timeout.
+ */
+export function registerWebhookHandler(topic, handler, { background = false } = {}) {
+  handlers.set(topic, { handler, background });
+}
+
+export async function handleWebhook(req, res) {
+  if (!verifyWebhookHmac(req.body, req.get('X-Shopify-Hmac-Sha256'))) {
+    return res.status(401).send('Unauthorized');
+  }
+
+  const topic = req.get('X-Shopify-Topic');
+  const registration = handlers.get(topic);
+
+  if (!registration) {
+    console.warn(`Received webhook for unhandled topic ${topic}`);
+    return res.status(200).send('OK');
+  }
+
+  let payload;
+
+  try {
+    payload = JSON.parse(req.body.toString('utf8'));
+  } catch (error) {
+    return res.status(400).send('Invalid JSON');
+  }
+
+  // Compliance payloads name the shop in the body; every webhook also has it
+  // in the header.
+  const shop = sanitizeShop(req.get('X-Shopify-Shop-Domain')) || sanitizeShop(payload.shop_domain);
+  const context = {
+    topic,
+    webhookId: req.get('X-Shopify-Webhook-Id') || null,
+  };
+
+  if (!shop) {
+    return res.status(200).send('OK');
+  }
+
+  if (registration.background) {
+    res.status(200).send('OK');
+
+    try {
+      await registration.handler(shop, payload, context);
+    } catch (error) {
+      console.error(`Error handling ${topic} webhook for ${shop}:`, error);
+    }
+    return;
+  }
+
+  try {
+    await registration.handler(shop, payload, context);
+    res.status(200).send('OK');
+  } catch (error) {
+    console.error(`Error handling ${topic} webhook for ${shop}:`, error);
+    res.status(500).send('Error');
+  }
+}